@@ -7,12 +7,16 @@ import { HyperpositionToken } from '../core/HyperpositionToken.js';
 import { SkipTraceEngine } from '../core/SkipTraceEngine.js';
 import { BiHamiltonianToken } from '../core/BiHamiltonianStability.js';
 import { EmotionalSkipTraceEngine } from '../core/EmotionalHyperposition.js';
+import { Tokenizer } from '../core/Tokenizer.js';
+import { UniversalTokenLibrary } from '../core/UniversalTokenLibrary.js';
 
 export class HyperpositionWrapper {
   constructor(baseModel) {
     this.baseModel = baseModel; // Any existing LLM API
     this.skipEngine = new SkipTraceEngine();
     this.emotionalEngine = new EmotionalSkipTraceEngine();
+    this.tokenizer = new Tokenizer();
+    this.library = new UniversalTokenLibrary({ tokenizer: this.tokenizer });
     
     // Sparse distributed representation
     this.sparseDimensions = 100000;
@@ -186,26 +190,23 @@ export class HyperpositionWrapper {
    * Extract concepts (not word tokens)
    */
   extractConcepts(input) {
-    // This would use more sophisticated NLP
-    // For now, simple demonstration
-    const words = input.toLowerCase().split(/\s+/);
+    // Shared tokenizer drops punctuation and expands contractions
+    const words = this.tokenizer.words(input);
     const concepts = [];
     
     // Group related words into concepts
     for (let i = 0; i < words.length; i++) {
+      // Look for conceptual phrases in the library's phrase dictionary, longest first
+      const phrase = this.library.matchPhrase(words, i);
+      if (phrase) {
+        concepts.push(words.slice(i, i + phrase.length).join(' '));
+        i += phrase.length - 1; // Skip the rest of the phrase
+        continue;
+      }
+      
       // Skip function words
       if (this.isFunctionWord(words[i])) continue;
       
-      // Look for conceptual phrases
-      if (i < words.length - 1) {
-        const phrase = words[i] + ' ' + words[i + 1];
-        if (this.isConceptPhrase(phrase)) {
-          concepts.push(phrase);
-          i++; // Skip next word
-          continue;
-        }
-      }
-      
       concepts.push(words[i]);
     }
     
@@ -283,8 +284,7 @@ export class HyperpositionWrapper {
   }
   
   isConceptPhrase(phrase) {
-    const conceptPhrases = ['artificial intelligence', 'machine learning', 'neural network'];
-    return conceptPhrases.includes(phrase);
+    return this.library.isPhrase(phrase);
   }
   
   calculateResponseCoherence(response, hyperStates) {
@@ -3,11 +3,14 @@
  * Shows why this architecture is fundamentally different from dense embeddings
  */
 
+import { resolveRandom } from '../core/SeededRandom.js';
+
 export class SparseHyperpositionEncoder {
-  constructor(dimensions = 100000, sparsity = 0.02) {
+  constructor(dimensions = 100000, sparsity = 0.02, options = {}) {
     this.dimensions = dimensions;
     this.sparsity = sparsity;
     this.activeBits = Math.floor(dimensions * sparsity);
+    this.random = resolveRandom(options);
     
     // Concept memory - stores learned patterns
     this.conceptMemory = new Map();
@@ -268,11 +271,12 @@ export class SparseHyperpositionEncoder {
   
   /**
    * Generate random seeds for hashing
+   * Pass a seed to the constructor to get identical encodings across runs
    */
   generateSeeds() {
     const seeds = [];
     for (let i = 0; i < 100; i++) {
-      seeds.push(Math.floor(Math.random() * 2147483647));
+      seeds.push(Math.floor(this.random() * 2147483647));
     }
     return seeds;
   }
@@ -0,0 +1,246 @@
+/**
+ * ArrangementParser - Rule-based shallow parser over universal tokens
+ * Builds an arrangement graph (subjects, objects, modifiers, cause-effect, coreference)
+ * from the clause-tagged output of UniversalTokenLibrary.compress
+ */
+
+import { CoreferenceResolver } from './CoreferenceResolver.js';
+
+/**
+ * Edge types and their default strength as a skip-trace signal
+ */
+export const ARRANGEMENT_WEIGHTS = {
+  SUBJECT: 1.0,       // action -> the entity performing it
+  OBJECT: 1.0,        // action -> the entity it acts on
+  ATTRIBUTE: 0.9,     // entity -> state predicated of it ("the boy was scared")
+  MODIFIER: 0.8,      // head -> modifier ("happy dog", "ran quickly", "not scared")
+  CAUSE_EFFECT: 1.0,  // cause -> effect, within or across clauses
+  COREFERENCE: 0.9    // pronoun -> prior entity it refers to
+};
+
+// Edge types scored only from -> to; the rest link tokens both ways
+const DIRECTED_TYPES = new Set(['CAUSE_EFFECT']);
+
+// Verbs that take a state as complement ("was scared", "felt happy")
+export const COPULA_TRANSFORMS = new Set(['EXIST', 'FEEL']);
+
+// Modifiers that describe how an action happens rather than a neighbouring word
+const ADVERBIAL_TRANSFORMS = new Set(['MANNER', 'DIRECTION']);
+
+// Hedges that open a whole noun phrase rather than its first adjective ("maybe the happy dog")
+const PHRASAL_TRANSFORMS = new Set(['POSSIBILITY']);
+
+export class ArrangementParser {
+  constructor(options = {}) {
+    this.weights = { ...ARRANGEMENT_WEIGHTS, ...options.weights };
+    this.coreference = options.coreference || new CoreferenceResolver();
+  }
+  
+  /**
+   * Parse compressed tokens into arrangement edges
+   * Returns [{from, to, type, weight}] where from/to are token positions;
+   * CAUSE_EFFECT edges also carry `via`, the position of the causal word
+   */
+  parse(tokens) {
+    const edges = [];
+    const seen = new Set();
+    const add = (from, to, type, via = null) => {
+      const key = `${from}-${to}-${type}`;
+      if (from === to || seen.has(key)) return;
+      seen.add(key);
+      edges.push({
+        from: this.positionOf(tokens, from),
+        to: this.positionOf(tokens, to),
+        type: type,
+        weight: this.weights[type],
+        ...(via !== null && { via: this.positionOf(tokens, via) })
+      });
+    };
+    
+    const clauses = this.groupClauses(tokens);
+    for (const indices of clauses) {
+      this.parseClause(tokens, indices, add);
+    }
+    this.linkCauses(tokens, clauses, add);
+    this.linkCoreference(tokens, add);
+    
+    return edges;
+  }
+  
+  /**
+   * Token indices grouped by clause, in order
+   */
+  groupClauses(tokens) {
+    const groups = new Map();
+    
+    tokens.forEach((token, index) => {
+      const clause = token.clause ?? 0;
+      if (!groups.has(clause)) groups.set(clause, []);
+      groups.get(clause).push(index);
+    });
+    
+    return [...groups.values()];
+  }
+  
+  /**
+   * Subject, object, attribute and modifier edges inside one clause
+   */
+  parseClause(tokens, indices, add) {
+    const is = (k, universal) => k >= 0 && k < indices.length && tokens[indices[k]].universal === universal;
+    
+    indices.forEach((index, k) => {
+      const token = tokens[index];
+      
+      if (token.universal === 'ACTION') {
+        // Subject: nearest entity before the verb, not crossing another verb
+        const subject = this.scan(indices, k, -1, j => is(j, 'ENTITY'), j => is(j, 'ACTION'));
+        if (subject !== null) add(index, indices[subject], 'SUBJECT');
+        
+        // Copulas take a state as attribute of the subject ("the boy was scared"),
+        // unless the state is an adjective on a following noun ("loves happy dogs")
+        if (COPULA_TRANSFORMS.has(token.transform)) {
+          const state = this.scan(indices, k, 1, j => is(j, 'STATE'), j => is(j, 'ACTION') || is(j, 'ENTITY'));
+          if (state !== null && !is(state + 1, 'ENTITY')) {
+            add(subject !== null ? indices[subject] : index, indices[state], 'ATTRIBUTE');
+          }
+        }
+        
+        // Object: nearest entity after the verb, before the next verb
+        const object = this.scan(indices, k, 1, j => is(j, 'ENTITY'), j => is(j, 'ACTION'));
+        if (object !== null) add(index, indices[object], 'OBJECT');
+      }
+      
+      // Adjective before its noun ("happy dog"), adverbial state before a verb
+      // ("never felt") or state right after a noun ("dog happy")
+      if (token.universal === 'STATE' && (is(k + 1, 'ENTITY') || is(k + 1, 'ACTION'))) {
+        add(indices[k + 1], index, 'MODIFIER');
+      } else if (token.universal === 'STATE' && is(k - 1, 'ENTITY')) {
+        add(indices[k - 1], index, 'ATTRIBUTE');
+      }
+      
+      if (token.universal === 'MODIFIER') {
+        const head = this.modifierHead(tokens, indices, k);
+        if (head !== null) add(indices[head], index, 'MODIFIER');
+      }
+    });
+  }
+  
+  /**
+   * Head a modifier attaches to
+   * Manner and direction attach to the nearest action, hedges to the noun of the
+   * phrase they open; others to the next content word
+   */
+  modifierHead(tokens, indices, k) {
+    const universalAt = j => tokens[indices[j]].universal;
+    const transform = tokens[indices[k]].transform;
+    
+    if (ADVERBIAL_TRANSFORMS.has(transform)) {
+      const isAction = j => universalAt(j) === 'ACTION';
+      const before = this.scan(indices, k, -1, isAction);
+      return before !== null ? before : this.scan(indices, k, 1, isAction);
+    }
+    
+    const isContent = j => universalAt(j) !== 'MODIFIER' && universalAt(j) !== 'RELATION';
+    const after = this.scan(indices, k, 1, isContent);
+    if (after !== null && PHRASAL_TRANSFORMS.has(transform)) {
+      const noun = this.scan(indices, after - 1, 1, j => !['STATE', 'MODIFIER'].includes(universalAt(j)));
+      if (noun !== null && universalAt(noun) === 'ENTITY') return noun;
+    }
+    return after !== null ? after : this.scan(indices, k, -1, isContent);
+  }
+  
+  /**
+   * Cause-effect edges from causal relation words
+   * Connectives introduce the cause ("X because Y", "because of Y"); causal verbs and
+   * effect words read left to right ("rain causes floods", "X; therefore Y")
+   */
+  linkCauses(tokens, clauses, add) {
+    clauses.forEach((indices, c) => {
+      indices.forEach((index, k) => {
+        const token = tokens[index];
+        if (token.universal !== 'RELATION' || !['CAUSE', 'EFFECT'].includes(token.transform)) return;
+        
+        const introducesCause = token.transform === 'CAUSE' && this.isMarker(token);
+        let cause = null;
+        let effect = null;
+        
+        if (k === 0 && clauses.length > 1) {
+          // Clause-initial: link this clause to its neighbour
+          const own = this.clauseHead(tokens, indices, index);
+          if (introducesCause) {
+            const other = this.clauseHead(tokens, c > 0 ? clauses[c - 1] : clauses[c + 1]);
+            [cause, effect] = [own, other];
+          } else if (c > 0) {
+            [cause, effect] = [this.clauseHead(tokens, clauses[c - 1]), own];
+          }
+        } else {
+          // Inside a clause: link the content words on either side
+          const isContent = j => !['RELATION', 'MODIFIER'].includes(tokens[indices[j]].universal);
+          const before = this.scan(indices, k, -1, isContent);
+          const after = this.scan(indices, k, 1, isContent);
+          if (before !== null && after !== null) {
+            [cause, effect] = introducesCause
+              ? [indices[after], indices[before]]
+              : [indices[before], indices[after]];
+          }
+        }
+        
+        if (cause !== null && effect !== null) add(cause, effect, 'CAUSE_EFFECT', index);
+      });
+    });
+  }
+  
+  /**
+   * Whether a causal relation word is a connective ("because", "due to") rather than a verb
+   */
+  isMarker(token) {
+    return token.phrase === true || ['because', 'since', 'as'].includes(token.lemma);
+  }
+  
+  /**
+   * Most representative token of a clause: first action, then state, then entity
+   */
+  clauseHead(tokens, indices, exclude = null) {
+    const rest = indices.filter(index => index !== exclude);
+    for (const universal of ['ACTION', 'STATE', 'ENTITY']) {
+      const head = rest.find(index => tokens[index].universal === universal);
+      if (head !== undefined) return head;
+    }
+    return rest.length > 0 ? rest[0] : null;
+  }
+  
+  /**
+   * Pronouns link back to the antecedent chosen by the coreference resolver
+   */
+  linkCoreference(tokens, add) {
+    for (const link of this.coreference.resolve(tokens)) {
+      add(link.pronoun, link.antecedent, 'COREFERENCE');
+    }
+  }
+  
+  /**
+   * Walk from indices[k] in `direction` to the first match, stopping at a barrier
+   * Returns the offset into indices, or null
+   */
+  scan(indices, k, direction, matches, barrier = () => false) {
+    for (let j = k + direction; j >= 0 && j < indices.length; j += direction) {
+      if (matches(j)) return j;
+      if (barrier(j)) return null;
+    }
+    return null;
+  }
+  
+  /**
+   * Sentence position of a token, falling back to its index
+   */
+  positionOf(tokens, index) {
+    return tokens[index].position ?? index;
+  }
+  
+  /**
+   * Whether an edge type is read in one direction only when scoring
+   */
+  static isDirected(type) {
+    return DIRECTED_TYPES.has(type);
+  }
+}
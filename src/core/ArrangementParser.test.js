@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ArrangementParser } from './ArrangementParser.js';
+import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { SkipTraceEngine } from './SkipTraceEngine.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('ArrangementParser', () => {
+  let library;
+
+  beforeEach(() => {
+    library = new UniversalTokenLibrary();
+  });
+
+  // Render edges as "from -TYPE-> to" using token surfaces
+  const parse = text => {
+    const { tokens, arrangements } = library.compress(text);
+    const surface = new Map(tokens.map(t => [t.position, t.surface]));
+    return arrangements.map(e => `${surface.get(e.from)} -${e.type}-> ${surface.get(e.to)}`);
+  };
+
+  test('links verbs to subjects and objects', () => {
+    expect(parse('The dog chased the cat')).toEqual([
+      'chased -SUBJECT-> dog',
+      'chased -OBJECT-> cat'
+    ]);
+  });
+
+  test('attaches attributes and modifiers to their heads', () => {
+    expect(parse('The boy was not scared')).toEqual([
+      'was -SUBJECT-> boy',
+      'boy -ATTRIBUTE-> scared',
+      'scared -MODIFIER-> not'
+    ]);
+    expect(parse('happy dogs ran quickly')).toEqual([
+      'dogs -MODIFIER-> happy',
+      'ran -SUBJECT-> dogs',
+      'ran -MODIFIER-> quickly'
+    ]);
+  });
+
+  test('attaches hedges to the noun of the phrase they open', () => {
+    expect(parse('maybe the happy dog ran away')).toEqual([
+      'dog -MODIFIER-> maybe',
+      'dog -MODIFIER-> happy',
+      'ran -SUBJECT-> dog',
+      'ran -MODIFIER-> away'
+    ]);
+    expect(parse('It is maybe happy')).toContain('happy -MODIFIER-> maybe');
+  });
+
+  test('links cause and effect across clauses', () => {
+    expect(parse('The game stopped because it rained')).toContain('rained -CAUSE_EFFECT-> stopped');
+    expect(parse('Because it rained, the game stopped')).toContain('rained -CAUSE_EFFECT-> stopped');
+    expect(parse('It rained; therefore the game stopped')).toContain('rained -CAUSE_EFFECT-> stopped');
+  });
+
+  test('links cause and effect inside a clause', () => {
+    expect(parse('rain causes floods')).toEqual(['rain -CAUSE_EFFECT-> floods']);
+    expect(parse('failed because of noise')).toEqual(['noise -CAUSE_EFFECT-> failed']);
+  });
+
+  test('resolves pronouns to the nearest prior entity', () => {
+    expect(parse('The cat slept and she dreamed')).toContain('she -COREFERENCE-> cat');
+  });
+
+  test('uses token indices when positions are missing', () => {
+    const parser = new ArrangementParser({ weights: { SUBJECT: 0.5 } });
+    const edges = parser.parse([
+      { universal: 'ENTITY', transform: 'ANIMAL' },
+      { universal: 'ACTION', transform: 'MOVE' }
+    ]);
+    expect(edges).toEqual([{ from: 1, to: 0, type: 'SUBJECT', weight: 0.5 }]);
+  });
+
+  describe('as a skip-trace signal', () => {
+    const makeTokens = () => [0, 1, 2].map(position =>
+      new HyperpositionToken(`t${position}`, 'ENTITY', { seed: position, position }));
+
+    test('scores linked tokens above unlinked ones', () => {
+      const tokens = makeTokens();
+      const engine = new SkipTraceEngine(tokens, 0.3, {
+        arrangements: [{ from: 0, to: 2, type: 'CAUSE_EFFECT', weight: 1 }]
+      });
+
+      expect(engine.arrangementStrength(tokens[0], tokens[2])).toBe(1);
+      expect(engine.arrangementStrength(tokens[2], tokens[0])).toBe(0.5);
+      expect(engine.arrangementStrength(tokens[0], tokens[1])).toBe(0);
+      expect(engine.getScoreComponents()).toContainEqual({ name: 'arrangement', weight: 0.2 });
+    });
+
+    test('indexes undirected edges both ways', () => {
+      const tokens = makeTokens();
+      const engine = new SkipTraceEngine(tokens, 0.3, {
+        arrangements: [{ from: 1, to: 0, type: 'SUBJECT', weight: 1 }],
+        arrangementWeight: 0.4
+      });
+
+      expect(engine.arrangementStrength(tokens[0], tokens[1])).toBe(1);
+      expect(engine.weights.arrangement).toBe(0.4);
+    });
+
+    test('is only registered when arrangements are given', () => {
+      const engine = new SkipTraceEngine(makeTokens());
+      expect(engine.getScoreComponents().map(c => c.name)).not.toContain('arrangement');
+    });
+
+    test('processor passes the compressed graph to the engine', () => {
+      const processor = new HSTNNProcessor({ seed: 2, explain: true });
+      const result = processor.processText('The dog chased the cat');
+      const hop = result.bestTrace.hops[0];
+
+      expect(result.compression.arrangements).toHaveLength(2);
+      expect(hop.components.arrangement.weight).toBe(0.2);
+    });
+  });
+});
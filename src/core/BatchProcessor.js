@@ -0,0 +1,126 @@
+/**
+ * BatchProcessor - Fans HSTNNProcessor.processText out across worker_threads
+ * Workers start from BatchWorker.cjs, which calls back into processItem
+ */
+
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+import BatchWorker from './BatchWorker.cjs';
+
+export class BatchProcessor {
+  constructor(config = {}, options = {}) {
+    this.config = config;
+    this.concurrency = options.concurrency ?? availableParallelism();
+    
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error(`Batch concurrency must be a positive integer, got ${options.concurrency}`);
+    }
+    
+    // Workers receive the config by structured clone, so functions cannot cross
+    const unsendable = Object.keys(config).filter(key => !this.isCloneable(config[key]));
+    if (unsendable.length > 0) {
+      throw new Error(`Batch config options cannot be sent to workers: ${unsendable.join(', ')}`);
+    }
+  }
+  
+  /**
+   * Process texts on up to `concurrency` workers
+   * Resolves to [{index, result, error}] in input order
+   */
+  run(texts) {
+    const results = new Array(texts.length);
+    const queue = texts.map((text, index) => ({ index, text }));
+    const inFlight = new Map();   // worker -> item
+    const workers = new Set();
+    let remaining = texts.length;
+    
+    if (remaining === 0) return Promise.resolve(results);
+    
+    return new Promise(resolve => {
+      const record = outcome => {
+        results[outcome.index] = outcome;
+        remaining--;
+        if (remaining === 0) {
+          Promise.all([...workers].map(worker => worker.terminate())).then(() => resolve(results));
+        }
+      };
+      
+      const dispatch = worker => {
+        const item = queue.shift();
+        if (!item) return;
+        inFlight.set(worker, item);
+        worker.postMessage(item);
+      };
+      
+      const spawn = () => {
+        const worker = new Worker(BatchWorker.WORKER_PATH, {
+          workerData: { role: BatchWorker.WORKER_ROLE, config: this.config }
+        });
+        let failure = null;
+        
+        worker.on('message', outcome => {
+          inFlight.delete(worker);
+          record(outcome);
+          dispatch(worker);
+        });
+        worker.on('error', error => { failure = error; });
+        
+        // A crashed worker fails only its current item; a replacement takes the rest
+        worker.on('exit', code => {
+          workers.delete(worker);
+          const item = inFlight.get(worker);
+          if (!item) return;
+          
+          inFlight.delete(worker);
+          record(BatchProcessor.failure(item.index, failure || new Error(`Worker exited with code ${code}`)));
+          if (queue.length > 0) spawn();
+        });
+        
+        workers.add(worker);
+        dispatch(worker);
+      };
+      
+      for (let i = 0; i < Math.min(this.concurrency, queue.length); i++) {
+        spawn();
+      }
+    });
+  }
+  
+  /**
+   * Whether a config value survives structured clone
+   */
+  isCloneable(value) {
+    try {
+      structuredClone(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Process one item on a fresh processor, capturing errors
+   * A fresh processor per item keeps seeded results independent of which
+   * worker ran the item and what it ran before
+   */
+  static processItem(config, index, text) {
+    try {
+      const processor = new HSTNNProcessor(config);
+      return { index, result: processor.processText(text).toJSON(), error: null };
+    } catch (error) {
+      return BatchProcessor.failure(index, error);
+    }
+  }
+  
+  /**
+   * Outcome record for an item that threw
+   */
+  static failure(index, error) {
+    return {
+      index: index,
+      result: null,
+      error: { name: error.name || 'Error', message: error.message || String(error) }
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, test, expect } from '@jest/globals';
+import { BatchProcessor } from './BatchProcessor.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('HSTNNProcessor.processBatch', () => {
+  const texts = [
+    'The boy ran because he was scared',
+    'Rain causes floods',
+    'She remembered her grandmother\'s voice',
+    'The dog barked at the cat'
+  ];
+  const withoutTiming = result => ({ ...result, metrics: { ...result.metrics, processingTime: 0 } });
+
+  test('returns serializable results in input order', async () => {
+    const outcomes = await new HSTNNProcessor({ seed: 7 }).processBatch(texts, { concurrency: 2 });
+
+    expect(outcomes.map(outcome => outcome.index)).toEqual([0, 1, 2, 3]);
+    outcomes.forEach((outcome, i) => {
+      expect(outcome.error).toBeNull();
+      expect(outcome.result).toMatchObject({ original: texts[i], schema: 'hstnn-result' });
+    });
+    expect(() => JSON.stringify(outcomes)).not.toThrow();
+  });
+
+  test('matches processText for seeded items regardless of worker', async () => {
+    const processor = new HSTNNProcessor({ seed: 7 });
+    const oneWorker = await processor.processBatch(texts, { concurrency: 1 });
+    const threeWorkers = await processor.processBatch([...texts].reverse(), { concurrency: 3 });
+
+    texts.forEach((text, i) => {
+      const expected = withoutTiming(new HSTNNProcessor({ seed: 7 }).processText(text).toJSON());
+      expect(withoutTiming(oneWorker[i].result)).toEqual(expected);
+      expect(withoutTiming(threeWorkers[texts.length - 1 - i].result)).toEqual(expected);
+    });
+  });
+
+  test('captures per-item errors without failing the batch', async () => {
+    const outcomes = await new HSTNNProcessor({ seed: 7 })
+      .processBatch(['The cat sleeps', null, 'Rain causes floods'], { concurrency: 2 });
+
+    expect(outcomes[1].result).toBeNull();
+    expect(outcomes[1].error.message).toMatch(/expects a string/);
+    expect(outcomes[0].error).toBeNull();
+    expect(outcomes[2].error).toBeNull();
+  });
+
+  test('rejects options that cannot reach workers', async () => {
+    await expect(new HSTNNProcessor({ random: () => 0.5 }).processBatch(texts))
+      .rejects.toThrow('cannot be sent to workers: random');
+    await expect(new HSTNNProcessor().processBatch(texts, { concurrency: 0 }))
+      .rejects.toThrow('positive integer');
+  });
+
+  test('resolves an empty batch without starting workers', async () => {
+    await expect(new BatchProcessor({}, { concurrency: 1 }).run([])).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * BatchWorker - worker_threads entry point for BatchProcessor
+ * CommonJS so its own path comes from __filename, which holds both under Node and
+ * under the babel transform the test runner applies (where import.meta does not)
+ */
+
+const { isMainThread, parentPort, workerData } = require('node:worker_threads');
+const { pathToFileURL } = require('node:url');
+const path = require('node:path');
+
+// Marks workers started by BatchProcessor
+const WORKER_ROLE = 'hstnn-batch';
+
+if (!isMainThread && require.main === module && workerData && workerData.role === WORKER_ROLE) {
+  const loading = import(pathToFileURL(path.join(__dirname, 'BatchProcessor.js')).href);
+  
+  parentPort.on('message', async item => {
+    const { BatchProcessor } = await loading;
+    parentPort.postMessage(BatchProcessor.processItem(workerData.config, item.index, item.text));
+  });
+}
+
+module.exports = { WORKER_PATH: __filename, WORKER_ROLE };
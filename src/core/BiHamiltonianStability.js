@@ -6,8 +6,8 @@
 import { EmotionalHyperpositionToken } from './EmotionalHyperposition.js';
 
 export class BiHamiltonianToken extends EmotionalHyperpositionToken {
-  constructor(surface, universal) {
-    super(surface, universal);
+  constructor(surface, universal, options = {}) {
+    super(surface, universal, options);
     
     // Dual Hamiltonian system
     this.H1_coherence = 0;    // How well things fit together
@@ -213,6 +213,32 @@ export class BiHamiltonianToken extends EmotionalHyperpositionToken {
       this.normalizeDimensions();
     }
   }
+  
+  /**
+   * Plain-data form, adding both Hamiltonians and the derivative history
+   */
+  toJSON(ids = null) {
+    return {
+      ...super.toJSON(ids),
+      kind: 'BiHamiltonianToken',
+      H1_coherence: this.H1_coherence,
+      H2_structure: this.H2_structure,
+      derivatives: { ...this.derivatives },
+      divergenceThreshold: this.divergenceThreshold
+    };
+  }
+  
+  /**
+   * Restore the Hamiltonians as serialized rather than recomputing them,
+   * since the derivatives depend on their history
+   */
+  restoreState(data) {
+    super.restoreState(data);
+    this.H1_coherence = data.H1_coherence ?? this.H1_coherence;
+    this.H2_structure = data.H2_structure ?? this.H2_structure;
+    this.derivatives = { ...this.derivatives, ...data.derivatives };
+    this.divergenceThreshold = data.divergenceThreshold ?? this.divergenceThreshold;
+  }
 }
 
 /**
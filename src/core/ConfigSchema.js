@@ -0,0 +1,271 @@
+/**
+ * ConfigSchema - Declarative option schemas: types, ranges, defaults and descriptive errors
+ * HSTNNProcessor validates its config against PROCESSOR_SCHEMA, so a 0 threshold is kept,
+ * a misspelled key is reported and every documented option has a default or a consumer
+ */
+
+import { DISTANCE_DECAY_TYPES } from './HyperpositionToken.js';
+
+// Type checks by schema type name
+const TYPE_CHECKS = {
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string',
+  function: value => typeof value === 'function',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+export class ConfigSchema {
+  /**
+   * options: name -> {type, default?, min?, max?, enum?, nullable?, fields?, description}
+   * type is a TYPE_CHECKS name or an array of them; fields is a ConfigSchema
+   * the keys of an object value are checked against
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.options = options;
+    
+    for (const [key, spec] of Object.entries(options)) {
+      const unknown = [].concat(spec.type).filter(type => !TYPE_CHECKS[type]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown type for ${name} option "${key}": ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  /**
+   * Validate a config and fill in defaults
+   * Every problem is collected and reported in one Error; unset options without
+   * a default are left out so components fall back to their own defaults
+   */
+  apply(config = {}) {
+    if (!TYPE_CHECKS.object(config)) {
+      throw new Error(`${this.name} config must be an object, got ${this.describeValue(config)}`);
+    }
+    
+    const { result, errors } = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${this.name} config:\n  - ${errors.join('\n  - ')}`);
+    }
+    return result;
+  }
+  
+  /**
+   * Defaults-filled config and every problem with it: {result, errors}
+   * prefix names nested options in errors ("distanceDecay.type")
+   */
+  validate(config, prefix = '') {
+    const errors = Object.keys(config)
+      .filter(key => !Object.prototype.hasOwnProperty.call(this.options, key))
+      .map(key => {
+        const suggestion = this.suggest(key);
+        return `unknown option "${prefix}${key}"` + (suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : '');
+      });
+    
+    const result = {};
+    for (const [key, spec] of Object.entries(this.options)) {
+      const value = config[key];
+      if (value === undefined) {
+        if (spec.default !== undefined) result[key] = spec.default;
+        continue;
+      }
+      
+      const problem = this.check(prefix + key, value, spec);
+      const nested = !problem && spec.fields && value !== null
+        ? spec.fields.validate(value, `${prefix}${key}.`).errors
+        : [];
+      if (problem) {
+        errors.push(problem);
+      } else if (nested.length > 0) {
+        errors.push(...nested);
+      } else {
+        result[key] = value;
+      }
+    }
+    
+    return { result, errors };
+  }
+  
+  /**
+   * Problem with one value, or null when it is valid
+   */
+  check(key, value, spec) {
+    if (value === null) {
+      return spec.nullable ? null : `${key} must not be null`;
+    }
+    
+    const types = [].concat(spec.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      return `${key} must be ${types.map(type => this.article(type)).join(' or ')}, got ${this.describeValue(value)}`;
+    }
+    
+    if (spec.enum && !spec.enum.includes(value)) {
+      const allowed = spec.enum.map(option => JSON.stringify(option)).join(', ');
+      return `${key} must be one of ${allowed}, got ${JSON.stringify(value)}`;
+    }
+    
+    if (typeof value === 'number') {
+      const tooLow = spec.min !== undefined && value < spec.min;
+      const tooHigh = spec.max !== undefined && value > spec.max;
+      if (tooLow || tooHigh) {
+        const range = spec.max === undefined ? `>= ${spec.min}`
+          : spec.min === undefined ? `<= ${spec.max}`
+          : `between ${spec.min} and ${spec.max}`;
+        return `${key} must be ${range}, got ${value}`;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Closest known option for a misspelled key: same letters ignoring case,
+   * or within two edits
+   */
+  suggest(key) {
+    let best = null;
+    let bestDistance = 3;
+    
+    for (const option of Object.keys(this.options)) {
+      const distance = option.toLowerCase() === key.toLowerCase() ? 0 : this.editDistance(option, key);
+      if (distance < bestDistance) {
+        best = option;
+        bestDistance = distance;
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Levenshtein distance between two strings
+   */
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
+    }
+    
+    return row[b.length];
+  }
+  
+  /**
+   * Option documentation rows: [{name, type, default, range, description}]
+   */
+  describe() {
+    return Object.entries(this.options).map(([name, spec]) => ({
+      name: name,
+      type: [].concat(spec.type).join(' | '),
+      default: spec.default,
+      range: spec.enum ? spec.enum.join(' | ')
+        : [spec.min !== undefined && `>= ${spec.min}`, spec.max !== undefined && `<= ${spec.max}`]
+          .filter(Boolean).join(', '),
+      description: spec.description
+    }));
+  }
+  
+  /**
+   * "a number", "an integer", ...
+   */
+  article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+  }
+  
+  /**
+   * Short description of a rejected value for error messages
+   */
+  describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return typeof value;
+  }
+}
+
+/**
+ * HyperpositionToken distanceDecay overrides; see DEFAULT_DISTANCE_DECAY
+ */
+export const DISTANCE_DECAY_SCHEMA = new ConfigSchema('distanceDecay', {
+  type: { type: 'string', enum: DISTANCE_DECAY_TYPES, description: 'Decay curve' },
+  rate: { type: 'number', min: 0, description: 'Exponential decay rate per token' },
+  exponent: { type: 'number', min: 0, description: 'Power-law exponent' },
+  window: { type: 'number', min: 0, description: 'Step window size in tokens' },
+  floor: { type: 'number', min: 0, max: 1, description: 'Minimum penalty' }
+});
+
+/**
+ * ScopeResolver options; strengths override MODIFIER_STRENGTHS per modifier type
+ */
+export const SCOPE_SCHEMA = new ConfigSchema('scope', {
+  maxScope: { type: 'integer', min: 1, description: 'Tokens a narrow modifier may reach across' },
+  strengths: {
+    type: 'object',
+    fields: new ConfigSchema('scope.strengths', {
+      NEGATION: { type: 'object', description: 'Negation strengths by word, plus default' },
+      INTENSITY: { type: 'object', description: 'Intensity multipliers by word, plus default' },
+      POSSIBILITY: { type: 'object', description: 'Certainties by word, plus default' }
+    }),
+    description: 'Modifier strengths by type'
+  }
+});
+
+/**
+ * HSTNNProcessor options and the component each one reaches
+ */
+export const PROCESSOR_SCHEMA = new ConfigSchema('HSTNNProcessor', {
+  // Randomness
+  seed: { type: ['number', 'string'], nullable: true, description: 'Seed for reproducible runs' },
+  random: { type: 'function', description: 'Injected random source, wins over seed' },
+  
+  // Tokens
+  distanceDecay: { type: 'object', fields: DISTANCE_DECAY_SCHEMA, description: 'HyperpositionToken distance decay overrides' },
+  resonanceStrength: { type: 'number', min: 0, default: 1.0, description: 'Multiplier on token resonance before connecting' },
+  resolveScope: { type: 'boolean', default: true, description: 'Apply negation, intensity and possibility scope' },
+  scope: { type: 'object', fields: SCOPE_SCHEMA, description: 'ScopeResolver options (maxScope, strengths)' },
+  coreferenceStrength: { type: 'number', min: 0, default: 0.9, description: 'Connection strength between coreferent mentions' },
+  emotional: { type: 'boolean', default: false, description: 'Build EmotionalHyperpositionTokens with lexicon emotions' },
+  emotionLexicon: { type: 'object', description: 'Extra EmotionLexicon entries: word -> [{emotion, weight, phase?}]' },
+  contagionIterations: { type: 'integer', min: 0, default: 0, description: 'Emotional contagion steps along connections (0 disables)' },
+  contagionRate: { type: 'number', min: 0, max: 1, default: 0.5, description: 'Share of the neighbourhood field a token takes in per step' },
+  contagionDamping: { type: 'number', min: 0, max: 0.99, default: 0.8, description: 'Loss per hop of spreading emotion' },
+  
+  // Skip-trace engine
+  skipThreshold: { type: 'number', min: 0, default: 0.3, description: 'Minimum skip score for a hop' },
+  maxTraceLength: { type: 'integer', min: 1, default: 10, description: 'Maximum hops in one trace' },
+  branchingFactor: { type: 'integer', min: 1, default: 3, description: 'Maximum branches followed per token' },
+  traceMode: { type: 'string', enum: ['exhaustive', 'beam'], default: 'exhaustive', description: 'Trace search strategy' },
+  maxTraces: { type: 'integer', min: 1, default: 5000, description: 'Traces generated before exhaustive mode stops branching' },
+  beamWidth: { type: 'integer', min: 1, default: 5, description: 'Partial traces kept per depth in beam mode' },
+  beamScore: { type: 'function', description: 'Ranks partial traces in beam mode' },
+  scoreComponents: { type: 'array', description: 'Extra skip score terms: [{name, score, weight}]' },
+  arrangementWeight: { type: 'number', min: 0, default: 0.2, description: 'Weight of the arrangement graph score term' },
+  coreferenceWeight: { type: 'number', min: 0, default: 0.25, description: 'Weight of the coreference score term' },
+  explain: { type: 'boolean', default: false, description: 'Record a per-hop score breakdown on traces' },
+  
+  // Documents and streams
+  crossSentenceThreshold: { type: 'number', min: 0, default: 0.5, description: 'Minimum skip score for unlinked hops between sentences' },
+  documentTraceMode: { type: 'string', enum: ['exhaustive', 'beam'], default: 'beam', description: 'Trace search strategy for the cross-sentence pass of documents' },
+  streamWindowSize: { type: 'integer', min: 1, default: 1, description: 'Sentences per streamed window' },
+  streamContextTokens: { type: 'integer', min: 0, default: 64, description: 'Tokens kept from earlier windows' },
+  streamBufferLength: { type: 'integer', min: 1, default: 4000, description: 'Characters before unpunctuated stream text is cut' },
+  streamTraceMode: { type: 'string', enum: ['exhaustive', 'beam'], default: 'beam', description: 'Trace search strategy for stream windows' }
+});
+
+/**
+ * Per-call processStream options; unset ones fall back to the processor config
+ */
+export const STREAM_SCHEMA = new ConfigSchema('processStream', {
+  windowSize: { type: 'integer', min: 1, description: 'Sentences per window' },
+  contextTokens: { type: 'integer', min: 0, description: 'Tokens kept from earlier windows' },
+  maxBufferLength: { type: 'integer', min: 1, description: 'Characters before unpunctuated text is cut' }
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect } from '@jest/globals';
+import { ConfigSchema, PROCESSOR_SCHEMA } from './ConfigSchema.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('ConfigSchema', () => {
+  const schema = new ConfigSchema('Widget', {
+    size: { type: 'integer', min: 1, max: 10, default: 3, description: 'Size' },
+    rate: { type: 'number', min: 0, default: 0.5, description: 'Rate' },
+    mode: { type: 'string', enum: ['fast', 'slow'], default: 'fast', description: 'Mode' },
+    label: { type: 'string', nullable: true, description: 'Label' }
+  });
+
+  test('fills defaults and leaves unset optional values out', () => {
+    expect(schema.apply({})).toEqual({ size: 3, rate: 0.5, mode: 'fast' });
+  });
+
+  test('keeps falsy values instead of replacing them with defaults', () => {
+    expect(schema.apply({ rate: 0, label: null })).toEqual({ size: 3, rate: 0, mode: 'fast', label: null });
+  });
+
+  test('reports every problem in one error', () => {
+    let message = '';
+    try {
+      schema.apply({ size: 2.5, rate: -1, mode: 'medium', label: 4 });
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message).toBe([
+      'Invalid Widget config:',
+      '  - size must be an integer, got 2.5',
+      '  - rate must be >= 0, got -1',
+      '  - mode must be one of "fast", "slow", got "medium"',
+      '  - label must be a string, got 4'
+    ].join('\n'));
+    expect(() => schema.apply({ size: 11 })).toThrow('size must be between 1 and 10, got 11');
+  });
+
+  test('rejects unknown keys and suggests the closest option', () => {
+    expect(() => schema.apply({ szie: 2 })).toThrow('unknown option "szie" (did you mean "size"?)');
+    expect(() => schema.apply({ MODE: 'fast' })).toThrow('(did you mean "mode"?)');
+    expect(() => schema.apply({ colour: 'red' })).toThrow(/unknown option "colour"$/m);
+  });
+
+  test('rejects non-object configs and unknown schema types', () => {
+    expect(() => schema.apply([])).toThrow('Widget config must be an object, got an array');
+    expect(() => new ConfigSchema('Bad', { x: { type: 'date' } })).toThrow('Unknown type for Bad option "x": date');
+  });
+
+  test('describes every option', () => {
+    expect(schema.describe()[0]).toEqual({ name: 'size', type: 'integer', default: 3, range: '>= 1, <= 10', description: 'Size' });
+    PROCESSOR_SCHEMA.describe().forEach(row => expect(row.description).toEqual(expect.any(String)));
+  });
+});
+
+describe('HSTNNProcessor config', () => {
+  test('accepts a zero threshold', () => {
+    expect(new HSTNNProcessor({ skipThreshold: 0 }).config.skipThreshold).toBe(0);
+  });
+
+  test('throws on typos and out-of-range values', () => {
+    expect(() => new HSTNNProcessor({ skipTreshold: 0.2 }))
+      .toThrow('unknown option "skipTreshold" (did you mean "skipThreshold"?)');
+    expect(() => new HSTNNProcessor({ traceMode: 'greedy', beamWidth: 0 }))
+      .toThrow(/traceMode must be one of "exhaustive", "beam", got "greedy"\n {2}- beamWidth must be >= 1, got 0/);
+  });
+
+  test('checks the fields of distanceDecay and scope', () => {
+    expect(() => new HSTNNProcessor({ distanceDecay: { type: 'linear', floor: 2 }, scope: { maxScope: 0, strenghts: {} } }))
+      .toThrow(new RegExp([
+        'distanceDecay.type must be one of "exponential", "power", "window", got "linear"',
+        'distanceDecay.floor must be between 0 and 1, got 2',
+        'unknown option "scope.strenghts" \\(did you mean "scope.strengths"\\?\\)',
+        'scope.maxScope must be >= 1, got 0'
+      ].join('\n {2}- ')));
+    expect(() => new HSTNNProcessor({ scope: { strengths: { DOUBT: {} } } }))
+      .toThrow('unknown option "scope.strengths.DOUBT"');
+
+    const config = { distanceDecay: { type: 'power', exponent: 2 }, scope: { maxScope: 2, strengths: { INTENSITY: { very: 2 } } } };
+    expect(new HSTNNProcessor(config).config).toMatchObject(config);
+  });
+
+  test('passes engine options through to SkipTraceEngine', () => {
+    const config = {
+      skipThreshold: 0.1, maxTraceLength: 4, branchingFactor: 2, traceMode: 'beam', beamWidth: 7,
+      arrangementWeight: 0.4, coreferenceWeight: 0.6, explain: true
+    };
+    const processor = new HSTNNProcessor({ seed: 1, ...config });
+    const result = processor.processText('The boy ran because he was scared');
+    const engine = processor.createEngine(result.hyperTokens, result.compression);
+
+    expect(engine.threshold).toBe(0.1);
+    expect(engine.maxTraceLength).toBe(4);
+    expect(engine.branchingFactor).toBe(2);
+    expect(engine.mode).toBe('beam');
+    expect(engine.beamWidth).toBe(7);
+    expect(engine.weights.arrangement).toBe(0.4);
+    expect(engine.weights.coreference).toBe(0.6);
+    expect(engine.explain).toBe(true);
+    result.traces.forEach(trace => expect(trace.path.length - 1).toBeLessThanOrEqual(4));
+  });
+
+  test('limits traces with maxTraceLength', () => {
+    const short = new HSTNNProcessor({ seed: 1, maxTraceLength: 3 }).processText('The boy ran because he was scared');
+
+    expect(short.traces.length).toBeGreaterThan(0);
+    short.traces.forEach(trace => expect(trace.path.length - 1).toBeLessThanOrEqual(3));
+    expect(Math.max(...short.traces.map(trace => trace.path.length - 1))).toBe(3);
+  });
+
+  test('validates processStream options', async () => {
+    const stream = new HSTNNProcessor().processStream('The boy ran.', { windowSise: 2 });
+    await expect(stream.next()).rejects.toThrow('unknown option "windowSise" (did you mean "windowSize"?)');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * CoreferenceResolver - Heuristic pronoun resolution over compressed universal tokens
+ * Links "he" in "The boy ran because he was scared" back to "boy" using recency,
+ * grammatical number and the HUMAN/ANIMAL transforms as animacy
+ */
+
+/**
+ * Pronoun features: number and the kinds of antecedent they accept
+ */
+export const PRONOUN_FEATURES = {
+  he: { number: 'singular', animacy: ['human', 'animal'] },
+  him: { number: 'singular', animacy: ['human', 'animal'] },
+  his: { number: 'singular', animacy: ['human', 'animal'] },
+  himself: { number: 'singular', animacy: ['human', 'animal'] },
+  she: { number: 'singular', animacy: ['human', 'animal'] },
+  her: { number: 'singular', animacy: ['human', 'animal'] },
+  hers: { number: 'singular', animacy: ['human', 'animal'] },
+  herself: { number: 'singular', animacy: ['human', 'animal'] },
+  it: { number: 'singular', animacy: ['inanimate', 'animal'] },
+  its: { number: 'singular', animacy: ['inanimate', 'animal'] },
+  itself: { number: 'singular', animacy: ['inanimate', 'animal'] },
+  they: { number: 'plural', animacy: ['human', 'animal', 'inanimate'] },
+  them: { number: 'plural', animacy: ['human', 'animal', 'inanimate'] },
+  their: { number: 'plural', animacy: ['human', 'animal', 'inanimate'] },
+  theirs: { number: 'plural', animacy: ['human', 'animal', 'inanimate'] },
+  themselves: { number: 'plural', animacy: ['human', 'animal', 'inanimate'] }
+};
+
+/**
+ * Animacy of entity transforms; anything else is inanimate, UNKNOWN matches loosely
+ */
+const TRANSFORM_ANIMACY = {
+  HUMAN: 'human',
+  ACTOR: 'human',
+  ANIMAL: 'animal',
+  UNKNOWN: null
+};
+
+// Nouns that are plural without inflection
+const PLURAL_NOUNS = new Set(['people', 'police', 'cattle', 'children', 'men', 'women', 'mice', 'geese']);
+
+export class CoreferenceResolver {
+  constructor(options = {}) {
+    this.maxDistance = options.maxDistance ?? 12;   // Tokens to look back for an antecedent
+    this.minScore = options.minScore ?? 0.15;       // Weakest link worth keeping
+    this.pronouns = { ...PRONOUN_FEATURES, ...options.pronouns };
+  }
+  
+  /**
+   * Resolve pronouns in compressed tokens
+   * Returns [{pronoun, antecedent, score}] as token indices; a pronoun that refers to
+   * an earlier pronoun is linked to that pronoun's antecedent instead
+   */
+  resolve(tokens) {
+    const links = [];
+    const resolved = new Map();   // pronoun index -> antecedent index
+    
+    tokens.forEach((token, index) => {
+      const features = this.pronounFeatures(token);
+      if (!features) return;
+      
+      let best = null;
+      const earliest = Math.max(0, index - this.maxDistance);
+      
+      for (let j = index - 1; j >= earliest; j--) {
+        const candidate = tokens[j];
+        if (candidate.universal !== 'ENTITY') continue;
+        
+        // Earlier pronouns forward to their own antecedent ("The boy ran. He fell. He cried.")
+        let antecedent = j;
+        if (candidate.transform === 'PRONOUN') {
+          if (!resolved.has(j)) continue;
+          antecedent = resolved.get(j);
+        }
+        
+        const score = this.recencyScore(index - j) *
+          this.numberScore(features, tokens[antecedent]) *
+          this.animacyScore(features, tokens[antecedent]);
+        
+        if (score >= this.minScore && (!best || score > best.score)) {
+          best = { pronoun: index, antecedent, score };
+        }
+      }
+      
+      if (best) {
+        resolved.set(index, best.antecedent);
+        links.push(best);
+      }
+    });
+    
+    return links;
+  }
+  
+  /**
+   * Features of a pronoun token, or null for other tokens and I/you/we
+   */
+  pronounFeatures(token) {
+    if (token.universal !== 'ENTITY' || token.transform !== 'PRONOUN') return null;
+    return this.pronouns[token.lemma] || this.pronouns[token.surface] || null;
+  }
+  
+  /**
+   * Closer antecedents are preferred
+   */
+  recencyScore(distance) {
+    return 1 / (1 + 0.2 * (distance - 1));
+  }
+  
+  /**
+   * Singular pronouns need singular antecedents; "they" prefers plurals but
+   * allows a singular person
+   */
+  numberScore(features, entity) {
+    const number = this.numberOf(entity);
+    if (features.number === number) return 1.0;
+    if (features.number === 'plural' && this.animacyOf(entity) === 'human') return 0.4;
+    return 0;
+  }
+  
+  /**
+   * HUMAN/ANIMAL transforms must match the pronoun; untyped entities are possible but weak
+   */
+  animacyScore(features, entity) {
+    const animacy = this.animacyOf(entity);
+    if (animacy === null) return 0.5;
+    if (!features.animacy.includes(animacy)) return 0;
+    // "he"/"she" for an animal and "it" for an animal are both fine, but less typical
+    return features.animacy[0] === animacy ? 1.0 : 0.6;
+  }
+  
+  /**
+   * 'human', 'animal', 'inanimate', or null when the entity type is unknown
+   */
+  animacyOf(entity) {
+    if (Object.prototype.hasOwnProperty.call(TRANSFORM_ANIMACY, entity.transform)) {
+      return TRANSFORM_ANIMACY[entity.transform];
+    }
+    return 'inanimate';
+  }
+  
+  /**
+   * Inflected nouns ("dogs" -> dog) are plural
+   */
+  numberOf(entity) {
+    if (PLURAL_NOUNS.has(entity.surface)) return 'plural';
+    return entity.lemma && entity.surface !== entity.lemma ? 'plural' : 'singular';
+  }
+}
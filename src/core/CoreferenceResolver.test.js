@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { CoreferenceResolver } from './CoreferenceResolver.js';
+import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('CoreferenceResolver', () => {
+  let library;
+  let resolver;
+
+  beforeEach(() => {
+    library = new UniversalTokenLibrary();
+    resolver = new CoreferenceResolver();
+  });
+
+  // Pronoun -> antecedent surfaces for a sentence
+  const resolve = text => {
+    const { tokens } = library.compress(text);
+    return resolver.resolve(tokens).map(link => `${tokens[link.pronoun].surface}->${tokens[link.antecedent].surface}`);
+  };
+
+  test('links a pronoun to the prior entity', () => {
+    expect(resolve('The boy ran because he was scared')).toEqual(['he->boy']);
+  });
+
+  test('uses animacy to skip incompatible entities', () => {
+    expect(resolve('The dog chased the boy because it was hungry')).toEqual(['it->dog']);
+    expect(resolve('The boy found a tool and he kept it')).toEqual(['he->boy', 'it->tool']);
+  });
+
+  test('uses number to prefer plural antecedents for "they"', () => {
+    expect(resolve('The girls saw the dog and they laughed')).toEqual(['they->girls']);
+    expect(resolve('The children met a man because they were lost')).toEqual(['they->children']);
+  });
+
+  test('prefers the most recent compatible entity', () => {
+    expect(resolve('The man saw the boy and he waved')).toEqual(['he->boy']);
+  });
+
+  test('forwards chains of pronouns to the original entity', () => {
+    expect(resolve('The boy ran. He fell. He cried.')).toEqual(['he->boy', 'he->boy']);
+  });
+
+  test('leaves unresolvable pronouns alone', () => {
+    expect(resolve('I think you know')).toEqual([]);
+    expect(resolve('The tool fell and she cried')).toEqual([]);
+    expect(new CoreferenceResolver({ maxDistance: 1 }).resolve(
+      library.compress('The boy ran quickly away and he fell').tokens
+    )).toEqual([]);
+  });
+
+  test('classifies object and possessive pronouns as pronouns', () => {
+    for (const word of ['her', 'their', 'them', 'its']) {
+      expect(library.classify(word)).toMatchObject({ universal: 'ENTITY', transform: 'PRONOUN' });
+    }
+  });
+
+  describe('processor integration', () => {
+    test('connects mentions with strong coreference links', () => {
+      const result = new HSTNNProcessor({ seed: 4 }).processText('The boy ran because he was scared');
+      const boy = result.hyperTokens.find(t => t.surface === 'boy');
+      const he = result.hyperTokens.find(t => t.surface === 'he');
+
+      expect(result.compression.arrangements).toContainEqual({
+        from: he.position, to: boy.position, type: 'COREFERENCE', weight: 0.9
+      });
+      expect(he.connections).toContainEqual(expect.objectContaining({ token: boy, strength: 0.9, type: 'coreference' }));
+      expect(boy.connections).toContainEqual(expect.objectContaining({ token: he, type: 'coreference' }));
+    });
+
+    test('scores skips between mentions of the same entity', () => {
+      const processor = new HSTNNProcessor({ seed: 4, explain: true, coreferenceStrength: 1 });
+      const result = processor.processText('The boy ran because he was scared');
+      const boy = result.hyperTokens.find(t => t.surface === 'boy');
+      const he = result.hyperTokens.find(t => t.surface === 'he');
+      const ran = result.hyperTokens.find(t => t.surface === 'ran');
+      const hop = result.bestTrace.hops[0];
+
+      expect(hop.components.coreference.weight).toBe(0.25);
+      expect(result.traces.some(trace => trace.path[0] === he && trace.path[1] === boy)).toBe(true);
+      expect(boy.connections.filter(c => c.token === ran && c.type === 'coreference')).toEqual([]);
+    });
+  });
+});
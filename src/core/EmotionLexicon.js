@@ -0,0 +1,187 @@
+/**
+ * EmotionLexicon - Word-level emotion detection keyed to EmotionalBasis
+ * Gives each emotional word weighted components with a phase, then applies the
+ * negation, intensity and possibility ScopeResolver recorded on the token
+ */
+
+import { EmotionalBasis } from './EmotionalHyperposition.js';
+
+/**
+ * Default phase of each basis emotion on the unit circle
+ * Pleasant states sit near 0 and painful ones near π, so mixed feelings
+ * ("happy but sad") interfere destructively in recalculateSuperposition
+ */
+export const EMOTION_PHASES = {
+  joy: 0,
+  gratitude: Math.PI / 8,
+  pride: Math.PI / 4,
+  presence: 0,
+  surprise: Math.PI / 2,
+  yearning: 3 * Math.PI / 4,
+  fear: 7 * Math.PI / 8,
+  grief: Math.PI,
+  shame: 9 * Math.PI / 8,
+  guilt: 5 * Math.PI / 4,
+  rage: 11 * Math.PI / 8,
+  disgust: 3 * Math.PI / 2,
+  numbness: Math.PI / 2
+};
+
+/**
+ * Emotional words: surface or lemma -> [{emotion, weight, phase?}]
+ * phase defaults to EMOTION_PHASES[emotion]
+ */
+export const EMOTION_LEXICON = {
+  // Joy
+  'happy': [{ emotion: 'joy', weight: 0.8 }],
+  'glad': [{ emotion: 'joy', weight: 0.7 }],
+  'joy': [{ emotion: 'joy', weight: 0.9 }],
+  'joyful': [{ emotion: 'joy', weight: 0.9 }],
+  'delighted': [{ emotion: 'joy', weight: 0.9 }],
+  'excited': [{ emotion: 'joy', weight: 0.7 }, { emotion: 'surprise', weight: 0.3 }],
+  'enjoy': [{ emotion: 'joy', weight: 0.6 }],
+  'love': [{ emotion: 'joy', weight: 0.8 }, { emotion: 'yearning', weight: 0.3 }],
+  
+  // Grief
+  'sad': [{ emotion: 'grief', weight: 0.8 }],
+  'unhappy': [{ emotion: 'grief', weight: 0.7 }],
+  'grief': [{ emotion: 'grief', weight: 0.9 }],
+  'mourn': [{ emotion: 'grief', weight: 0.9 }],
+  'cry': [{ emotion: 'grief', weight: 0.7 }],
+  'suffer': [{ emotion: 'grief', weight: 0.6 }, { emotion: 'fear', weight: 0.3 }],
+  'lonely': [{ emotion: 'grief', weight: 0.6 }, { emotion: 'yearning', weight: 0.5 }],
+  'miss': [{ emotion: 'yearning', weight: 0.8 }],
+  'long': [{ emotion: 'yearning', weight: 0.6 }],
+  
+  // Rage and disgust
+  'angry': [{ emotion: 'rage', weight: 0.8 }],
+  'furious': [{ emotion: 'rage', weight: 1.0 }],
+  'mad': [{ emotion: 'rage', weight: 0.7 }],
+  'annoyed': [{ emotion: 'rage', weight: 0.4 }],
+  'hate': [{ emotion: 'rage', weight: 0.7 }, { emotion: 'disgust', weight: 0.5 }],
+  'disgusted': [{ emotion: 'disgust', weight: 0.9 }],
+  'gross': [{ emotion: 'disgust', weight: 0.6 }],
+  
+  // Fear and surprise
+  'scared': [{ emotion: 'fear', weight: 0.9 }],
+  'afraid': [{ emotion: 'fear', weight: 0.9 }],
+  'fear': [{ emotion: 'fear', weight: 0.9 }],
+  'terrified': [{ emotion: 'fear', weight: 1.0 }],
+  'terrify': [{ emotion: 'fear', weight: 1.0 }],
+  'anxious': [{ emotion: 'fear', weight: 0.7 }],
+  'worried': [{ emotion: 'fear', weight: 0.6 }],
+  'nervous': [{ emotion: 'fear', weight: 0.5 }],
+  'surprised': [{ emotion: 'surprise', weight: 0.8 }],
+  'shocked': [{ emotion: 'surprise', weight: 0.9 }, { emotion: 'fear', weight: 0.3 }],
+  
+  // Complex
+  'ashamed': [{ emotion: 'shame', weight: 0.9 }],
+  'embarrassed': [{ emotion: 'shame', weight: 0.6 }],
+  'guilty': [{ emotion: 'guilt', weight: 0.9 }],
+  'sorry': [{ emotion: 'guilt', weight: 0.6 }, { emotion: 'grief', weight: 0.3 }],
+  'proud': [{ emotion: 'pride', weight: 0.9 }],
+  'grateful': [{ emotion: 'gratitude', weight: 0.9 }],
+  'thankful': [{ emotion: 'gratitude', weight: 0.9 }],
+  'thank': [{ emotion: 'gratitude', weight: 0.7 }],
+  
+  // Meta
+  'numb': [{ emotion: 'numbness', weight: 0.9 }],
+  'empty': [{ emotion: 'numbness', weight: 0.6 }, { emotion: 'grief', weight: 0.3 }],
+  'calm': [{ emotion: 'presence', weight: 0.8 }],
+  'peaceful': [{ emotion: 'presence', weight: 0.8 }]
+};
+
+/**
+ * What a negated emotion becomes: "not happy" leans to grief, "not scared" to presence
+ * Emotions without an entry keep their label and have their phase turned by π
+ */
+export const NEGATION_FLIPS = {
+  joy: 'grief',
+  grief: 'joy',
+  pride: 'shame',
+  shame: 'pride',
+  fear: 'presence',
+  rage: 'presence',
+  presence: 'fear'
+};
+
+// Weight kept by a negated component: "not happy" is weaker than "sad"
+export const NEGATION_WEIGHT = 0.6;
+
+export class EmotionLexicon {
+  constructor(options = {}) {
+    this.entries = { ...EMOTION_LEXICON, ...options.entries };
+    this.flips = { ...NEGATION_FLIPS, ...options.flips };
+    this.negationWeight = options.negationWeight ?? NEGATION_WEIGHT;
+    this.basis = new Set([...EmotionalBasis.primary, ...EmotionalBasis.complex, ...EmotionalBasis.meta]);
+    
+    for (const [word, components] of Object.entries(this.entries)) {
+      const unknown = components.filter(component => !this.basis.has(component.emotion));
+      if (unknown.length > 0) {
+        throw new Error(`Emotion lexicon entry "${word}" uses emotions outside EmotionalBasis: ${unknown.map(c => c.emotion).join(', ')}`);
+      }
+    }
+  }
+  
+  /**
+   * Lexicon components for a word, trying the surface form before the lemma
+   * Returns [{emotion, weight, phase}], empty for non-emotional words
+   */
+  lookup(surface, lemma = null) {
+    const entry = this.entries[String(surface).toLowerCase()]
+      ?? (lemma ? this.entries[String(lemma).toLowerCase()] : undefined);
+    if (!entry) return [];
+    
+    return entry.map(component => ({
+      emotion: component.emotion,
+      weight: component.weight,
+      phase: component.phase ?? EMOTION_PHASES[component.emotion] ?? 0
+    }));
+  }
+  
+  /**
+   * Components for a word under a modality {polarity, intensity, certainty}
+   * (HyperpositionToken.modality as set by ScopeResolver)
+   * - intensity and certainty scale weights, capped at 1 ("very happy", "maybe sad")
+   * - negative polarity flips each emotion to its opposite, or turns its phase by π
+   */
+  detect(surface, lemma = null, modality = {}) {
+    const { polarity = 1, intensity = 1, certainty = 1 } = modality;
+    const components = new Map();
+    
+    for (const component of this.lookup(surface, lemma)) {
+      let { emotion, phase } = component;
+      let weight = Math.min(1, component.weight * intensity * certainty);
+      
+      if (polarity < 0) {
+        weight *= this.negationWeight;
+        if (this.flips[emotion]) {
+          emotion = this.flips[emotion];
+          phase = EMOTION_PHASES[emotion] ?? 0;
+        } else {
+          phase = (phase + Math.PI) % (2 * Math.PI);
+        }
+      }
+      
+      // Two components flipping onto the same emotion keep the stronger one
+      const existing = components.get(emotion);
+      if (!existing || existing.weight < weight) {
+        components.set(emotion, { emotion, weight, phase });
+      }
+    }
+    
+    return [...components.values()];
+  }
+  
+  /**
+   * Populate an EmotionalHyperpositionToken from its word and modality
+   * Returns the components added
+   */
+  populate(token, lemma = null) {
+    const components = this.detect(token.surface, lemma, token.modality);
+    for (const { emotion, weight, phase } of components) {
+      token.addEmotionalComponent(emotion, weight, phase);
+    }
+    return components;
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, test, expect } from '@jest/globals';
+import { EmotionLexicon, EMOTION_LEXICON, EMOTION_PHASES } from './EmotionLexicon.js';
+import { EmotionalBasis, EmotionalHyperpositionToken } from './EmotionalHyperposition.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { ProcessingResult } from './ProcessingResult.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+const emotionsOf = token => Object.fromEntries(
+  [...token.emotionalState.components].map(([emotion, params]) => [emotion, params.weight]));
+
+describe('EmotionLexicon', () => {
+  const lexicon = new EmotionLexicon();
+
+  test('every entry uses EmotionalBasis emotions with a phase', () => {
+    const basis = [...EmotionalBasis.primary, ...EmotionalBasis.complex, ...EmotionalBasis.meta];
+    Object.values(EMOTION_LEXICON).flat().forEach(component => expect(basis).toContain(component.emotion));
+    basis.forEach(emotion => expect(EMOTION_PHASES[emotion]).toEqual(expect.any(Number)));
+  });
+
+  test('looks words up by surface, then lemma, with default phases', () => {
+    expect(lexicon.lookup('Happy')).toEqual([{ emotion: 'joy', weight: 0.8, phase: 0 }]);
+    expect(lexicon.lookup('loved', 'love')).toEqual([
+      { emotion: 'joy', weight: 0.8, phase: 0 },
+      { emotion: 'yearning', weight: 0.3, phase: EMOTION_PHASES.yearning }
+    ]);
+    expect(lexicon.lookup('table', 'table')).toEqual([]);
+  });
+
+  test('scales weights by intensity and certainty, capped at 1', () => {
+    expect(lexicon.detect('happy', null, { intensity: 0.5 })[0].weight).toBeCloseTo(0.4);
+    expect(lexicon.detect('happy', null, { intensity: 2 })[0].weight).toBe(1);
+    expect(lexicon.detect('sad', null, { certainty: 0.5 })[0].weight).toBeCloseTo(0.4);
+  });
+
+  test('negation flips emotions to their opposite at reduced weight', () => {
+    expect(lexicon.detect('happy', null, { polarity: -1 })).toEqual([
+      { emotion: 'grief', weight: expect.closeTo(0.48), phase: Math.PI }
+    ]);
+    expect(lexicon.detect('scared', null, { polarity: -1 }).map(c => c.emotion)).toEqual(['presence']);
+  });
+
+  test('negation without an opposite turns the phase by π', () => {
+    const [guilt] = lexicon.detect('guilty', null, { polarity: -1 });
+    expect(guilt.emotion).toBe('guilt');
+    expect(guilt.phase).toBeCloseTo(EMOTION_PHASES.guilt - Math.PI);
+  });
+
+  test('accepts extra entries and rejects emotions outside the basis', () => {
+    const custom = new EmotionLexicon({ entries: { blue: [{ emotion: 'grief', weight: 0.5, phase: 3 }] } });
+    expect(custom.lookup('blue')).toEqual([{ emotion: 'grief', weight: 0.5, phase: 3 }]);
+    expect(() => new EmotionLexicon({ entries: { meh: [{ emotion: 'boredom', weight: 0.5 }] } }))
+      .toThrow('Emotion lexicon entry "meh" uses emotions outside EmotionalBasis: boredom');
+  });
+
+  test('populates an emotional token from its modality', () => {
+    const token = new EmotionalHyperpositionToken('angry', 'STATE', { seed: 1 });
+    token.modality.intensity = 1.25;
+
+    expect(lexicon.populate(token)).toEqual([{ emotion: 'rage', weight: 1, phase: EMOTION_PHASES.rage }]);
+    expect(emotionsOf(token)).toEqual({ rage: 1 });
+    expect(token.dimensions.emotional).toBeCloseTo(1);
+  });
+});
+
+describe('HSTNNProcessor emotional mode', () => {
+  test('is off by default', () => {
+    const result = new HSTNNProcessor({ seed: 3 }).processText('The boy was scared');
+    result.hyperTokens.forEach(token => expect(token).not.toBeInstanceOf(EmotionalHyperpositionToken));
+    expect(result.hyperTokens.at(-1)).toBeInstanceOf(HyperpositionToken);
+  });
+
+  test('builds emotional tokens populated from the text', () => {
+    const result = new HSTNNProcessor({ seed: 3, emotional: true })
+      .processText('The boy was not very happy but he loved the dog');
+    const bySurface = Object.fromEntries(result.hyperTokens.map(token => [token.surface, token]));
+
+    result.hyperTokens.forEach(token => expect(token).toBeInstanceOf(EmotionalHyperpositionToken));
+    expect(emotionsOf(bySurface.happy)).toEqual({ grief: expect.closeTo(0.6) });
+    expect(emotionsOf(bySurface.loved)).toEqual({ joy: 0.8, yearning: 0.3 });
+    expect(emotionsOf(bySurface.dog)).toEqual({});
+    expect(bySurface.happy.dimensions.emotional).toBeGreaterThan(bySurface.dog.dimensions.emotional);
+  });
+
+  test('uses configured lexicon entries in documents', () => {
+    const result = new HSTNNProcessor({ seed: 3, emotional: true, traceMode: 'beam', emotionLexicon: {
+      storm: [{ emotion: 'fear', weight: 0.7 }]
+    } }).processDocument('The storm came. She felt calm.');
+    const bySurface = Object.fromEntries(result.hyperTokens.map(token => [token.surface, token]));
+
+    expect(emotionsOf(bySurface.storm)).toEqual({ fear: 0.7 });
+    expect(emotionsOf(bySurface.calm)).toEqual({ presence: 0.8 });
+  });
+
+  test('emotional results survive a JSON round trip', () => {
+    const result = new HSTNNProcessor({ seed: 3, emotional: true }).processText('She was afraid');
+    const restored = ProcessingResult.fromJSON(JSON.parse(JSON.stringify(result)));
+
+    expect(restored.hyperTokens[2]).toBeInstanceOf(EmotionalHyperpositionToken);
+    expect(emotionsOf(restored.hyperTokens[2])).toEqual({ fear: 0.9 });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * EmotionalContagion - Spreads emotional components along token connections
+ * Each emotion is a complex amplitude weight·e^(iφ). Every iteration a token keeps
+ * its own (anchor) emotions and takes in a damped, strength-weighted share of its
+ * neighbours' current field, so phases carry over and the field settles instead of
+ * decaying or saturating. Only EmotionalHyperpositionTokens take part
+ */
+
+/**
+ * Default propagation settings
+ */
+export const CONTAGION_DEFAULTS = {
+  iterations: 10,     // Maximum propagation steps
+  rate: 0.5,          // Share of the neighbourhood field taken in per step
+  damping: 0.8,       // Loss per hop, so received emotion is weaker than its source
+  tolerance: 1e-3,    // Largest amplitude change that counts as converged
+  minWeight: 0.01     // Components weaker than this are dropped when written back
+};
+
+export class EmotionalContagion {
+  constructor(options = {}) {
+    this.iterations = options.iterations ?? CONTAGION_DEFAULTS.iterations;
+    this.rate = options.rate ?? CONTAGION_DEFAULTS.rate;
+    this.damping = options.damping ?? CONTAGION_DEFAULTS.damping;
+    this.tolerance = options.tolerance ?? CONTAGION_DEFAULTS.tolerance;
+    this.minWeight = options.minWeight ?? CONTAGION_DEFAULTS.minWeight;
+    this.types = options.types || null;   // Connection types to spread along; null for all
+    
+    if (this.rate * this.damping >= 1) {
+      throw new Error(`Contagion rate × damping must be below 1 to converge, got ${this.rate * this.damping}`);
+    }
+  }
+  
+  /**
+   * Diffuse emotions through the network formed by the tokens' connections
+   * Rewrites each non-collapsed token's components (collapsed ones only transmit),
+   * updates its spin from the coherence change, and returns a convergence report:
+   * {iterations, converged, deltas, field, spins}
+   */
+  propagate(tokens) {
+    const nodes = tokens.filter(token => token.emotionalState);
+    const members = new Set(nodes);
+    const anchors = new Map(nodes.map(token => [token, this.amplitudesOf(token)]));
+    let field = new Map(anchors);
+    
+    const deltas = [];
+    let converged = false;
+    
+    for (let step = 0; step < this.iterations; step++) {
+      const next = new Map();
+      let delta = 0;
+      
+      for (const token of nodes) {
+        const amplitudes = token.emotionalState.collapsed
+          ? anchors.get(token)
+          : this.step(token, anchors.get(token), field, members);
+        delta = Math.max(delta, this.distance(field.get(token), amplitudes));
+        next.set(token, amplitudes);
+      }
+      
+      field = next;
+      deltas.push(delta);
+      if (delta < this.tolerance) {
+        converged = true;
+        break;
+      }
+    }
+    
+    const spins = {};
+    for (const token of nodes) {
+      if (token.emotionalState.collapsed) continue;
+      const spin = this.write(token, field.get(token));
+      spins[spin] = (spins[spin] || 0) + 1;
+    }
+    
+    return {
+      iterations: deltas.length,
+      converged: converged,
+      deltas: deltas,
+      field: this.totals(nodes),
+      spins: spins
+    };
+  }
+  
+  /**
+   * One token's next amplitudes: its anchor plus rate · damping times the
+   * strength-weighted neighbour field; total strength is capped at 1 so hubs
+   * average their neighbours rather than summing them
+   */
+  step(token, anchor, field, members) {
+    const links = token.connections.filter(connection =>
+      members.has(connection.token) && (!this.types || this.types.includes(connection.type)));
+    const totalStrength = links.reduce((sum, connection) => sum + connection.strength, 0);
+    const scale = this.rate * this.damping / Math.max(1, totalStrength);
+    
+    const amplitudes = new Map([...anchor].map(([emotion, value]) => [emotion, { ...value }]));
+    for (const connection of links) {
+      for (const [emotion, value] of field.get(connection.token)) {
+        const amplitude = amplitudes.get(emotion) || { re: 0, im: 0 };
+        amplitude.re += scale * connection.strength * value.re;
+        amplitude.im += scale * connection.strength * value.im;
+        amplitudes.set(emotion, amplitude);
+      }
+    }
+    
+    return amplitudes;
+  }
+  
+  /**
+   * emotion -> {re, im} for a token's current components
+   */
+  amplitudesOf(token) {
+    return new Map([...token.emotionalState.components].map(([emotion, params]) => [emotion, {
+      re: params.weight * Math.cos(params.phase),
+      im: params.weight * Math.sin(params.phase)
+    }]));
+  }
+  
+  /**
+   * Largest change in any emotion's amplitude between two fields of one token
+   */
+  distance(before, after) {
+    let largest = 0;
+    for (const emotion of new Set([...before.keys(), ...after.keys()])) {
+      const a = before.get(emotion) || { re: 0, im: 0 };
+      const b = after.get(emotion) || { re: 0, im: 0 };
+      largest = Math.max(largest, Math.hypot(a.re - b.re, a.im - b.im));
+    }
+    return largest;
+  }
+  
+  /**
+   * Replace a token's components with propagated amplitudes and update its spin
+   * Weights are capped at 1; phases come from the amplitude angle
+   */
+  write(token, amplitudes) {
+    const coherence = token.emotionalState.coherence;
+    token.emotionalState.components.clear();
+    
+    for (const [emotion, value] of amplitudes) {
+      const weight = Math.min(1, Math.hypot(value.re, value.im));
+      if (weight < this.minWeight) continue;
+      token.addEmotionalComponent(emotion, weight, (Math.atan2(value.im, value.re) + 2 * Math.PI) % (2 * Math.PI));
+    }
+    
+    if (token.emotionalState.components.size === 0) {
+      token.emotionalState.coherence = 0;
+    }
+    return token.calculateSpin(token.emotionalState.coherence - coherence);
+  }
+  
+  /**
+   * Network emotional field: emotion -> summed weight over all tokens
+   */
+  totals(tokens) {
+    const field = {};
+    for (const token of tokens) {
+      for (const [emotion, params] of token.emotionalState.components) {
+        field[emotion] = (field[emotion] || 0) + params.weight;
+      }
+    }
+    return field;
+  }
+}
@@ -0,0 +1,130 @@
+import { describe, test, expect } from '@jest/globals';
+import { EmotionalContagion } from './EmotionalContagion.js';
+import { EmotionalHyperpositionToken } from './EmotionalHyperposition.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+const token = (surface, emotions = {}) => {
+  const t = new EmotionalHyperpositionToken(surface, 'STATE', { seed: 1 });
+  for (const [emotion, [weight, phase]] of Object.entries(emotions)) {
+    t.addEmotionalComponent(emotion, weight, phase);
+  }
+  return t;
+};
+
+const connect = (a, b, strength, type = 'resonance') => {
+  a.addConnection(b, strength, type);
+  b.addConnection(a, strength, type);
+};
+
+const weightOf = (t, emotion) => (t.emotionalState.components.get(emotion) || { weight: 0 }).weight;
+
+describe('EmotionalContagion', () => {
+  test('spreads emotions weighted by connection strength, keeping their phase', () => {
+    const source = token('scared', { fear: [0.9, 2.7] });
+    const near = token('dog');
+    const far = token('yard');
+    connect(source, near, 1.0);
+    connect(source, far, 0.3);
+
+    new EmotionalContagion().propagate([source, near, far]);
+
+    expect(weightOf(near, 'fear')).toBeGreaterThan(weightOf(far, 'fear'));
+    expect(weightOf(far, 'fear')).toBeGreaterThan(0);
+    expect(near.emotionalState.components.get('fear').phase).toBeCloseTo(2.7);
+  });
+
+  test('damps emotion received over each hop', () => {
+    const source = token('happy', { joy: [0.5, 0] });
+    const neighbour = token('day');
+    const distant = token('night');
+    connect(source, neighbour, 1.0);
+    connect(neighbour, distant, 1.0);
+
+    new EmotionalContagion({ iterations: 50, tolerance: 1e-9 }).propagate([source, neighbour, distant]);
+
+    expect(weightOf(neighbour, 'joy')).toBeLessThan(weightOf(source, 'joy'));
+    expect(weightOf(distant, 'joy')).toBeLessThan(weightOf(neighbour, 'joy'));
+    // Fixed point with rate · damping = 0.4, split over the neighbour's two links:
+    // n = 0.2 (s + d), d = 0.4 n  =>  n / s = 0.2 / 0.92
+    expect(weightOf(neighbour, 'joy') / weightOf(source, 'joy')).toBeCloseTo(0.2 / 0.92, 3);
+    expect(weightOf(distant, 'joy') / weightOf(neighbour, 'joy')).toBeCloseTo(0.4, 3);
+  });
+
+  test('reports convergence of the field', () => {
+    const a = token('happy', { joy: [0.8, 0] });
+    const b = token('sad', { grief: [0.8, Math.PI] });
+    connect(a, b, 0.9);
+
+    const report = new EmotionalContagion({ iterations: 30 }).propagate([a, b]);
+
+    expect(report.converged).toBe(true);
+    expect(report.iterations).toBeLessThan(30);
+    expect(report.deltas).toHaveLength(report.iterations);
+    report.deltas.slice(1).forEach((delta, i) => expect(delta).toBeLessThanOrEqual(report.deltas[i]));
+    expect(report.deltas.at(-1)).toBeLessThan(1e-3);
+    expect(Object.keys(report.field).sort()).toEqual(['grief', 'joy']);
+    expect(report.field.joy).toBeCloseTo(weightOf(a, 'joy') + weightOf(b, 'joy'));
+  });
+
+  test('stops at the configured number of iterations', () => {
+    const a = token('happy', { joy: [0.8, 0] });
+    const b = token('dog');
+    connect(a, b, 1.0);
+
+    const report = new EmotionalContagion({ iterations: 1 }).propagate([a, b]);
+
+    expect(report).toMatchObject({ iterations: 1, converged: false });
+    expect(weightOf(b, 'joy')).toBeCloseTo(0.8 * 0.5 * 0.8);
+  });
+
+  test('collapsed tokens transmit without absorbing', () => {
+    const observed = token('calm', { presence: [0.8, 0] });
+    observed.emotionalState.collapsed = true;
+    const other = token('angry', { rage: [0.8, 4.3] });
+    connect(observed, other, 1.0);
+
+    new EmotionalContagion().propagate([observed, other]);
+
+    expect([...observed.emotionalState.components.keys()]).toEqual(['presence']);
+    expect(weightOf(other, 'presence')).toBeGreaterThan(0);
+  });
+
+  test('skips plain tokens and connection types outside types', () => {
+    const source = token('scared', { fear: [0.9, 2.7] });
+    const plain = new HyperpositionToken('wall', 'ENTITY', { seed: 1 });
+    const coreferent = token('he');
+    const resonant = token('ran');
+    source.addConnection(plain, 1.0);
+    connect(source, coreferent, 1.0, 'coreference');
+    connect(source, resonant, 1.0);
+
+    new EmotionalContagion({ types: ['coreference'] }).propagate([source, plain, coreferent, resonant]);
+
+    expect(weightOf(coreferent, 'fear')).toBeGreaterThan(0);
+    expect(weightOf(resonant, 'fear')).toBe(0);
+  });
+
+  test('rejects settings that cannot converge', () => {
+    expect(() => new EmotionalContagion({ rate: 1, damping: 1 }))
+      .toThrow('Contagion rate × damping must be below 1 to converge, got 1');
+  });
+});
+
+describe('HSTNNProcessor contagion', () => {
+  const text = 'The boy was terrified because the angry dog chased him';
+
+  test('is off unless emotional mode sets contagionIterations', () => {
+    expect(new HSTNNProcessor({ seed: 2, emotional: true }).processText(text).contagion).toBeUndefined();
+    expect(new HSTNNProcessor({ seed: 2, contagionIterations: 5 }).processText(text).contagion).toBeUndefined();
+  });
+
+  test('spreads lexicon emotions and reports convergence on the result', () => {
+    const result = new HSTNNProcessor({ seed: 2, emotional: true, contagionIterations: 20 }).processText(text);
+    const boy = result.hyperTokens.find(t => t.surface === 'boy');
+
+    expect(result.contagion).toMatchObject({ converged: true, field: { fear: expect.any(Number), rage: expect.any(Number) } });
+    expect(weightOf(boy, 'fear')).toBeGreaterThan(0);
+    expect(JSON.parse(JSON.stringify(result)).contagion).toEqual(result.contagion);
+  });
+});
@@ -5,9 +5,34 @@
 
 import { HyperpositionToken } from './HyperpositionToken.js';
 
+/**
+ * How collapseEmotional picks an outcome
+ * - dominant: heaviest component (deterministic)
+ * - born:     sample ∝ squared amplitude
+ * - context:  sample ∝ squared amplitude × trigger bias
+ * - soft:     sharpen toward the likeliest emotion, stay superposed
+ */
+export const COLLAPSE_STRATEGIES = ['dominant', 'born', 'context', 'soft'];
+
+/**
+ * Trigger weighting for context collapse: emotion -> multiplier
+ * Expression brings out outward emotions, observation the self-conscious ones;
+ * resonance is computed from phase alignment instead (see triggerBias)
+ */
+export const TRIGGER_BIASES = {
+  expression: { joy: 1.5, rage: 1.5, surprise: 1.3, grief: 1.2, shame: 0.6, guilt: 0.6, numbness: 0.7 },
+  observation: { shame: 1.5, guilt: 1.5, fear: 1.3, pride: 1.2, joy: 0.8, rage: 0.8 }
+};
+
+// Exponent applied to the distribution by soft collapse
+export const SOFT_COLLAPSE_SHARPNESS = 2;
+
+// Superposed magnitude below which several components have cancelled out (coherence 0)
+export const INTERFERENCE_THRESHOLD = 0.3;
+
 export class EmotionalHyperpositionToken extends HyperpositionToken {
-  constructor(surface, universal) {
-    super(surface, universal);
+  constructor(surface, universal, options = {}) {
+    super(surface, universal, options);
     
     // Emotional superposition state
     this.emotionalState = {
@@ -18,6 +43,15 @@ export class EmotionalHyperpositionToken extends HyperpositionToken {
     
     // Spin state for emotional dynamics
     this.emotionalSpin = 0; // -1 (decay), 0 (superposition), +1 (growth)
+    
+    // Reversible collapse
+    this.preCollapse = null; // Superposition snapshot taken by the current collapse
+    this.collapseLog = [];   // [{type, trigger, strategy, distribution, emotion, probability, weight, timestamp}]
+    this.collapseStrategy = options.collapseStrategy ?? 'dominant'; // See COLLAPSE_STRATEGIES
+    
+    if (!COLLAPSE_STRATEGIES.includes(this.collapseStrategy)) {
+      throw new Error(`Unknown collapse strategy: ${this.collapseStrategy}`);
+    }
   }
   
   /**
@@ -52,7 +86,7 @@ export class EmotionalHyperpositionToken extends HyperpositionToken {
     
     // Low magnitude with multiple components = interference/numbness
     const numComponents = this.emotionalState.components.size;
-    if (numComponents > 1 && magnitude < 0.3) {
+    if (numComponents > 1 && magnitude < INTERFERENCE_THRESHOLD) {
       this.emotionalState.coherence = 0; // Destructive interference
     } else {
       this.emotionalState.coherence = magnitude / numComponents;
@@ -81,33 +115,237 @@ export class EmotionalHyperpositionToken extends HyperpositionToken {
   
   /**
    * Collapse emotional superposition through observation
+   * options.strategy (default this.collapseStrategy) picks the outcome:
+   * - dominant: the heaviest component
+   * - born:     sampled with probability ∝ weight² (squared amplitude), from this.random
+   * - context:  Born probabilities reweighted by the trigger (see TRIGGER_BIASES)
+   * - soft:     sharpens weights toward the likeliest emotion without collapsing
+   * The superposition is snapshotted first so decohere can bring it back, and the
+   * collapse is logged with its trigger, strategy, the distribution it used, the
+   * chosen emotion and that emotion's probability.
+   * Returns the chosen emotion, or null when already collapsed or without components
    */
-  collapseEmotional(trigger = 'expression') {
-    if (this.emotionalState.collapsed) return;
+  collapseEmotional(trigger = 'expression', options = {}) {
+    if (this.emotionalState.collapsed) return null;
+    if (this.emotionalState.components.size === 0) return null;
     
-    // Find dominant emotion by weight
-    let maxWeight = 0;
-    let dominantEmotion = null;
+    const strategy = options.strategy ?? this.collapseStrategy;
+    const distribution = this.collapseDistribution(strategy, trigger);
+    const snapshot = this.snapshotEmotional();
     
-    for (let [emotion, params] of this.emotionalState.components) {
-      if (params.weight > maxWeight) {
-        maxWeight = params.weight;
-        dominantEmotion = emotion;
-      }
+    let chosen;
+    if (strategy === 'born' || strategy === 'context') {
+      chosen = this.sampleEmotion(distribution);
+    } else {
+      // dominant and soft: the likeliest emotion, first one on ties
+      chosen = Object.keys(distribution).reduce((best, emotion) =>
+        (distribution[emotion] > distribution[best] ? emotion : best));
     }
+    const weight = this.emotionalState.components.get(chosen).weight;
     
-    // Collapse to single state
-    this.emotionalState.components.clear();
-    this.emotionalState.components.set(dominantEmotion, {
-      weight: 1,
-      phase: 0,
+    if (strategy === 'soft') {
+      this.sharpenEmotional(distribution, weight, options.sharpness ?? SOFT_COLLAPSE_SHARPNESS);
+    } else {
+      // Collapse to single state
+      this.emotionalState.components.clear();
+      this.emotionalState.components.set(chosen, {
+        weight: 1,
+        phase: 0,
+        timestamp: Date.now()
+      });
+      
+      this.emotionalState.collapsed = true;
+      this.dimensions.emotional = 1;
+    }
+    
+    // Keep the original superposition across soft collapses so decohere returns to it
+    this.preCollapse = this.preCollapse || snapshot;
+    this.collapseLog.push({
+      type: strategy === 'soft' ? 'soft-collapse' : 'collapse',
+      trigger: trigger,
+      strategy: strategy,
+      distribution: distribution,
+      emotion: chosen,
+      probability: distribution[chosen],
+      weight: weight,
       timestamp: Date.now()
     });
     
-    this.emotionalState.collapsed = true;
-    this.dimensions.emotional = 1;
+    return chosen;
+  }
+  
+  /**
+   * Probability of each emotion under a collapse strategy: {emotion: p}
+   * dominant reports each component's share of the total weight; the others
+   * start from squared amplitudes
+   */
+  collapseDistribution(strategy, trigger) {
+    if (!COLLAPSE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown collapse strategy: ${strategy}`);
+    }
+    
+    const components = [...this.emotionalState.components];
+    const bias = strategy === 'context' ? this.triggerBias(trigger) : () => 1;
+    const scores = components.map(([emotion, params]) => (strategy === 'dominant'
+      ? params.weight
+      : params.weight ** 2 * bias(emotion, params)));
+    
+    const total = scores.reduce((sum, score) => sum + score, 0);
+    return Object.fromEntries(components.map(([emotion], i) =>
+      [emotion, total > 0 ? scores[i] / total : 1 / components.length]));
+  }
+  
+  /**
+   * Weighting a trigger applies to each component in context collapse
+   * resonance favours components in phase with the whole superposition;
+   * other triggers use TRIGGER_BIASES, with unlisted emotions left at 1
+   */
+  triggerBias(trigger) {
+    if (trigger === 'resonance') {
+      let real = 0;
+      let imaginary = 0;
+      for (const params of this.emotionalState.components.values()) {
+        real += params.weight * Math.cos(params.phase);
+        imaginary += params.weight * Math.sin(params.phase);
+      }
+      const phase = Math.atan2(imaginary, real);
+      
+      // In phase: 1, opposed: a small floor so every outcome stays possible
+      return (emotion, params) => Math.max(0.05, (1 + Math.cos(params.phase - phase)) / 2);
+    }
+    
+    const biases = TRIGGER_BIASES[trigger] || {};
+    return emotion => biases[emotion] ?? 1;
+  }
+  
+  /**
+   * Draw an emotion from a distribution with the token's random source
+   */
+  sampleEmotion(distribution) {
+    const entries = Object.entries(distribution);
+    let r = this.random();
+    
+    for (const [emotion, probability] of entries) {
+      r -= probability;
+      if (r < 0) return emotion;
+    }
+    return entries[entries.length - 1][0];
+  }
+  
+  /**
+   * Soft collapse: raise the distribution to `sharpness` and rescale weights so the
+   * likeliest emotion keeps its weight while the rest shrink; the state stays superposed
+   */
+  sharpenEmotional(distribution, topWeight, sharpness) {
+    const sharpened = Object.fromEntries(Object.entries(distribution).map(([emotion, p]) => [emotion, p ** sharpness]));
+    const top = Math.max(...Object.values(sharpened));
+    
+    for (const [emotion, params] of this.emotionalState.components) {
+      params.weight = top > 0 ? topWeight * sharpened[emotion] / top : params.weight;
+    }
+    this.recalculateSuperposition();
+  }
+  
+  /**
+   * Return a collapsed (or softly collapsed) token to the superposition it had before
+   * Restores components, coherence, emotional dimension and spin from the
+   * snapshot; returns false when there is nothing to restore
+   */
+  decohere(trigger = 'reobservation') {
+    if (!this.preCollapse) return false;
+    
+    const snapshot = this.preCollapse;
+    this.emotionalState.components = new Map(snapshot.components.map(([emotion, params]) => [emotion, { ...params }]));
+    this.emotionalState.coherence = snapshot.coherence;
+    this.emotionalState.collapsed = false;
+    this.dimensions.emotional = snapshot.emotional;
+    this.emotionalSpin = snapshot.spin;
+    this.preCollapse = null;
+    
+    const collapse = this.collapseLog.filter(entry => entry.type !== 'decohere').at(-1);
+    this.collapseLog.push({
+      type: 'decohere',
+      trigger: trigger,
+      strategy: null,
+      distribution: null,
+      emotion: collapse ? collapse.emotion : null,
+      probability: null,
+      weight: null,
+      timestamp: Date.now()
+    });
     
-    return dominantEmotion;
+    return true;
+  }
+  
+  /**
+   * Copy of the current superposition, as stored by collapseEmotional
+   */
+  snapshotEmotional() {
+    return {
+      components: [...this.emotionalState.components].map(([emotion, params]) => [emotion, { ...params }]),
+      coherence: this.emotionalState.coherence,
+      emotional: this.dimensions.emotional,
+      spin: this.emotionalSpin
+    };
+  }
+  
+  /**
+   * Plain-data form, adding the emotional superposition, spin and collapse history
+   * Component and log timestamps are wall-clock noise and are left out, as for
+   * connections, so identical runs serialize identically
+   */
+  toJSON(ids = null) {
+    return {
+      ...super.toJSON(ids),
+      kind: 'EmotionalHyperpositionToken',
+      emotionalState: {
+        components: this.componentsToJSON([...this.emotionalState.components]),
+        collapsed: this.emotionalState.collapsed,
+        coherence: this.emotionalState.coherence
+      },
+      emotionalSpin: this.emotionalSpin,
+      collapseStrategy: this.collapseStrategy,
+      preCollapse: this.preCollapse && {
+        ...this.preCollapse,
+        components: this.componentsToJSON(this.preCollapse.components)
+      },
+      collapseLog: this.collapseLog.map(({ timestamp, ...entry }) => entry)
+    };
+  }
+  
+  /**
+   * [[emotion, params]] -> [{emotion, weight, phase}]
+   */
+  componentsToJSON(components) {
+    return components.map(([emotion, params]) => ({ emotion, weight: params.weight, phase: params.phase }));
+  }
+  
+  /**
+   * [{emotion, weight, phase}] -> [[emotion, params]], with no timestamp to restore
+   */
+  componentsFromJSON(components) {
+    return components.map(({ emotion, weight, phase }) => [emotion, { weight, phase, timestamp: null }]);
+  }
+  
+  /**
+   * Restore the emotional superposition and spin
+   */
+  restoreState(data) {
+    super.restoreState(data);
+    if (data.emotionalState) {
+      this.emotionalState = {
+        components: new Map(this.componentsFromJSON(data.emotionalState.components)),
+        collapsed: data.emotionalState.collapsed,
+        coherence: data.emotionalState.coherence
+      };
+    }
+    this.emotionalSpin = data.emotionalSpin ?? 0;
+    this.preCollapse = data.preCollapse ? {
+      ...data.preCollapse,
+      components: this.componentsFromJSON(data.preCollapse.components)
+    } : null;
+    this.collapseLog = (data.collapseLog || []).map(entry => ({ ...entry, timestamp: null }));
+    this.collapseStrategy = data.collapseStrategy ?? this.collapseStrategy;
   }
 }
 
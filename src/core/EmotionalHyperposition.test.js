@@ -258,4 +258,164 @@ describe('EmotionalHyperposition', () => {
       expect(interference.constructive.length).toBe(1); // Should recognize as aligned
     });
   });
-});
\ No newline at end of file
+});
+
+describe('reversible emotional collapse', () => {
+  const mixed = () => {
+    const token = new EmotionalHyperposition('bittersweet', 'STATE', { seed: 4 });
+    token.addEmotionalComponent('joy', 0.6, 0);
+    token.addEmotionalComponent('grief', 0.3, Math.PI);
+    token.emotionalSpin = -1;
+    return token;
+  };
+
+  test('logs the trigger, chosen emotion and its probability', () => {
+    const token = mixed();
+
+    expect(token.collapseEmotional('question')).toBe('joy');
+    expect(token.collapseLog).toEqual([{
+      type: 'collapse', trigger: 'question', strategy: 'dominant',
+      distribution: { joy: expect.closeTo(2 / 3), grief: expect.closeTo(1 / 3) },
+      emotion: 'joy', probability: expect.closeTo(2 / 3), weight: 0.6, timestamp: expect.any(Number)
+    }]);
+  });
+
+  test('decohere restores the pre-collapse superposition', () => {
+    const token = mixed();
+    const before = {
+      components: new Map(token.emotionalState.components),
+      coherence: token.emotionalState.coherence,
+      emotional: token.dimensions.emotional
+    };
+
+    token.collapseEmotional();
+    expect([...token.emotionalState.components.keys()]).toEqual(['joy']);
+
+    expect(token.decohere()).toBe(true);
+    expect(token.emotionalState.collapsed).toBe(false);
+    expect(token.emotionalState.components).toEqual(before.components);
+    expect(token.emotionalState.coherence).toBe(before.coherence);
+    expect(token.dimensions.emotional).toBe(before.emotional);
+    expect(token.emotionalSpin).toBe(-1);
+    expect(token.preCollapse).toBeNull();
+    expect(token.collapseLog.map(entry => [entry.type, entry.trigger, entry.emotion]))
+      .toEqual([['collapse', 'expression', 'joy'], ['decohere', 'reobservation', 'joy']]);
+  });
+
+  test('a decohered token can be observed again', () => {
+    const token = mixed();
+    token.collapseEmotional('first');
+    token.decohere();
+    token.addEmotionalComponent('grief', 0.9, Math.PI);
+
+    expect(token.collapseEmotional('second')).toBe('grief');
+    expect(token.collapseLog.filter(entry => entry.type === 'collapse').map(entry => entry.emotion))
+      .toEqual(['joy', 'grief']);
+  });
+
+  test('decohere does nothing without a collapse', () => {
+    const token = mixed();
+
+    expect(token.decohere()).toBe(false);
+    expect(token.collapseLog).toEqual([]);
+    expect(new EmotionalHyperposition('calm', 'STATE', { seed: 4 }).collapseEmotional()).toBeNull();
+  });
+
+  test('snapshot and log survive toJSON and fromJSON', () => {
+    const token = mixed();
+    token.collapseEmotional('question');
+
+    const restored = EmotionalHyperposition.fromJSON(JSON.parse(JSON.stringify(token.toJSON())));
+
+    expect(restored.collapseLog).toEqual(token.collapseLog.map(entry => ({ ...entry, timestamp: null })));
+    expect(restored.decohere()).toBe(true);
+    expect([...restored.emotionalState.components.keys()]).toEqual(['joy', 'grief']);
+  });
+});
+
+describe('collapse strategies', () => {
+  const mixed = (options = {}) => {
+    const token = new EmotionalHyperposition('torn', 'STATE', { seed: 7, ...options });
+    token.addEmotionalComponent('joy', 0.6, 0);
+    token.addEmotionalComponent('shame', 0.8, 9 * Math.PI / 8);
+    return token;
+  };
+
+  test('born samples proportional to squared amplitude with the seeded RNG', () => {
+    const token = mixed();
+    const emotion = token.collapseEmotional('expression', { strategy: 'born' });
+    const [entry] = token.collapseLog;
+
+    expect(entry.strategy).toBe('born');
+    expect(entry.distribution.joy).toBeCloseTo(0.36 / 1.0);
+    expect(entry.distribution.shame).toBeCloseTo(0.64 / 1.0);
+    expect(entry.probability).toBe(entry.distribution[emotion]);
+    expect(mixed().collapseEmotional('expression', { strategy: 'born' })).toBe(emotion);
+  });
+
+  test('born outcomes follow the distribution', () => {
+    const counts = { joy: 0, shame: 0 };
+    for (let seed = 0; seed < 400; seed++) {
+      counts[mixed({ seed }).collapseEmotional('expression', { strategy: 'born' })]++;
+    }
+
+    expect(counts.shame / 400).toBeGreaterThan(0.55);
+    expect(counts.shame / 400).toBeLessThan(0.73);
+  });
+
+  test('context collapse reweights by trigger', () => {
+    const expressed = mixed();
+    expressed.collapseEmotional('expression', { strategy: 'context' });
+    const observed = mixed();
+    observed.collapseEmotional('observation', { strategy: 'context' });
+
+    const joyExpressed = expressed.collapseLog[0].distribution.joy;
+    const joyObserved = observed.collapseLog[0].distribution.joy;
+    expect(joyExpressed).toBeCloseTo(0.36 * 1.5 / (0.36 * 1.5 + 0.64 * 0.6));
+    expect(joyObserved).toBeCloseTo(0.36 * 0.8 / (0.36 * 0.8 + 0.64 * 1.5));
+    expect(joyExpressed).toBeGreaterThan(joyObserved);
+  });
+
+  test('resonance favours components in phase with the superposition', () => {
+    const token = mixed();
+    token.collapseEmotional('resonance', { strategy: 'context' });
+
+    // The heavier shame component dominates the overall phase
+    const { distribution } = token.collapseLog[0];
+    expect(distribution.shame).toBeGreaterThan(0.64);
+  });
+
+  test('soft collapse sharpens without collapsing and can be undone', () => {
+    const token = mixed();
+    expect(token.collapseEmotional('expression', { strategy: 'soft' })).toBe('shame');
+
+    const weights = Object.fromEntries([...token.emotionalState.components].map(([e, p]) => [e, p.weight]));
+    expect(token.emotionalState.collapsed).toBe(false);
+    expect(weights.shame).toBeCloseTo(0.8);
+    expect(weights.joy).toBeCloseTo(0.8 * (0.36 / 0.64) ** 2);
+    expect(token.collapseLog[0]).toMatchObject({ type: 'soft-collapse', strategy: 'soft' });
+
+    token.collapseEmotional('expression', { strategy: 'soft', sharpness: 3 });
+    expect(token.decohere()).toBe(true);
+    expect(token.emotionalState.components.get('joy').weight).toBe(0.6);
+  });
+
+  test('uses the token default strategy and rejects unknown ones', () => {
+    const token = mixed({ collapseStrategy: 'born' });
+    token.collapseEmotional();
+
+    expect(token.collapseLog[0].strategy).toBe('born');
+    expect(() => mixed().collapseEmotional('expression', { strategy: 'greedy' }))
+      .toThrow('Unknown collapse strategy: greedy');
+    expect(() => mixed({ collapseStrategy: 'greedy' })).toThrow('Unknown collapse strategy: greedy');
+  });
+
+  test('returns null when there is nothing to collapse', () => {
+    const token = mixed();
+    token.collapseEmotional();
+
+    expect(token.collapseEmotional()).toBeNull();
+    expect(new EmotionalHyperposition('flat', 'STATE').collapseEmotional()).toBeNull();
+    expect(token.collapseLog).toHaveLength(1);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * EmotionalTimeline - Sentence-by-sentence emotional trajectory of a text
+ * Each sentence's token emotions are superposed into one EmotionalHyperpositionToken,
+ * whose coherence change against the previous emotional sentence gives its spin;
+ * runs of growth, decay and numbness become segments for charting a narrative
+ */
+
+import { EmotionalHyperpositionToken, INTERFERENCE_THRESHOLD } from './EmotionalHyperposition.js';
+import { EmotionLexicon } from './EmotionLexicon.js';
+import { resolveRandom } from './SeededRandom.js';
+
+// Segment type for each spin
+const SPIN_SEGMENTS = { 1: 'growth', [-1]: 'decay' };
+
+export class EmotionalTimeline {
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || new EmotionLexicon();  // For tokens without an emotional state
+    this.random = resolveRandom(options);
+    this.entries = [];             // One record per sentence, in order
+    this.previous = null;          // Last sentence state with emotions, for deltaCoherence
+  }
+  
+  /**
+   * Add one sentence: {index?, text?, start?, end?, tokens, lemmas?}
+   * tokens are hyperposition tokens; EmotionalHyperpositionTokens contribute their
+   * components, plain ones are looked up in the lexicon (lemmas[i] helps inflected forms).
+   * The first emotional sentence sets the baseline (deltaCoherence 0, spin 0); a
+   * sentence without emotions gets spin 0 and leaves the trajectory where it was
+   */
+  record(sentence) {
+    const tokens = sentence.tokens || [];
+    const components = this.combine(tokens.flatMap((token, i) =>
+      this.componentsOf(token, sentence.lemmas ? sentence.lemmas[i] : null)));
+    
+    const state = new EmotionalHyperpositionToken(sentence.text ?? '', 'SENTENCE', { random: this.random });
+    components.forEach(({ emotion, weight, phase }) => state.addEmotionalComponent(emotion, weight, phase));
+    
+    const emotional = components.length > 0;
+    const coherence = emotional ? state.emotionalState.coherence : 0;
+    const deltaCoherence = emotional && this.previous ? coherence - this.previous.emotionalState.coherence : 0;
+    const spin = emotional ? state.calculateSpin(deltaCoherence) : 0;
+    const dominantEmotion = this.dominantOf(components);
+    
+    const entry = {
+      index: sentence.index ?? this.entries.length,
+      text: sentence.text ?? null,
+      start: sentence.start ?? null,
+      end: sentence.end ?? null,
+      emotional: emotional,
+      components: Object.fromEntries(components.map(({ emotion, weight }) => [emotion, weight])),
+      magnitude: emotional ? state.dimensions.emotional : 0,
+      coherence: coherence,
+      deltaCoherence: deltaCoherence,
+      dominantEmotion: dominantEmotion,
+      spin: spin,
+      // Numb: mixed feelings interfering below INTERFERENCE_THRESHOLD, or numbness itself dominating
+      numb: (components.length > 1 && state.dimensions.emotional < INTERFERENCE_THRESHOLD) ||
+        dominantEmotion === 'numbness'
+    };
+    
+    this.entries.push(entry);
+    if (emotional) this.previous = state;
+    return entry;
+  }
+  
+  /**
+   * Emotion components of one token: [{emotion, weight, phase}]
+   */
+  componentsOf(token, lemma = null) {
+    if (token.emotionalState) {
+      return [...token.emotionalState.components].map(([emotion, params]) =>
+        ({ emotion, weight: params.weight, phase: params.phase }));
+    }
+    return this.lexicon.detect(token.surface, lemma, token.modality);
+  }
+  
+  /**
+   * Merge a sentence's components per emotion: weights add up to 1, phases
+   * take the weighted circular mean
+   */
+  combine(components) {
+    const merged = new Map();
+    
+    for (const { emotion, weight, phase } of components) {
+      const entry = merged.get(emotion) || { weight: 0, x: 0, y: 0 };
+      entry.weight += weight;
+      entry.x += weight * Math.cos(phase);
+      entry.y += weight * Math.sin(phase);
+      merged.set(emotion, entry);
+    }
+    
+    return [...merged].map(([emotion, entry]) => ({
+      emotion: emotion,
+      weight: Math.min(1, entry.weight),
+      phase: (Math.atan2(entry.y, entry.x) + 2 * Math.PI) % (2 * Math.PI)
+    }));
+  }
+  
+  /**
+   * Heaviest component's emotion, or null
+   */
+  dominantOf(components) {
+    let dominant = null;
+    for (const component of components) {
+      if (!dominant || component.weight > dominant.weight) {
+        dominant = component;
+      }
+    }
+    return dominant ? dominant.emotion : null;
+  }
+  
+  /**
+   * Runs of growth, decay and numbness: [{type, start, end, sentences}]
+   * start and end are sentence indices; sentences without emotions neither
+   * extend nor break a run
+   */
+  segments() {
+    const segments = [];
+    const open = {};   // type -> segment still being extended
+    
+    for (const entry of this.entries) {
+      if (!entry.emotional) continue;
+      
+      const types = [SPIN_SEGMENTS[entry.spin], entry.numb && 'numbness'].filter(Boolean);
+      for (const type of ['growth', 'decay', 'numbness']) {
+        if (!types.includes(type)) {
+          open[type] = null;
+        } else if (open[type]) {
+          open[type].end = entry.index;
+          open[type].sentences.push(entry.index);
+        } else {
+          open[type] = { type, start: entry.index, end: entry.index, sentences: [entry.index] };
+          segments.push(open[type]);
+        }
+      }
+    }
+    
+    return segments;
+  }
+  
+  /**
+   * Chartable summary: {entries, segments}
+   */
+  toJSON() {
+    return { entries: this.entries, segments: this.segments() };
+  }
+}
@@ -0,0 +1,123 @@
+import { describe, test, expect } from '@jest/globals';
+import { EmotionalTimeline } from './EmotionalTimeline.js';
+import { EmotionalHyperpositionToken, INTERFERENCE_THRESHOLD } from './EmotionalHyperposition.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+const plain = surface => new HyperpositionToken(surface, 'STATE', { seed: 1 });
+
+describe('EmotionalTimeline', () => {
+  test('records magnitude, coherence, dominant emotion and spin per sentence', () => {
+    const timeline = new EmotionalTimeline({ seed: 1 });
+    const first = timeline.record({ text: 'She was happy.', tokens: [plain('she'), plain('happy')] });
+    const second = timeline.record({ text: 'She was annoyed.', tokens: [plain('annoyed')] });
+
+    expect(first).toMatchObject({
+      index: 0, emotional: true, components: { joy: 0.8 }, dominantEmotion: 'joy', deltaCoherence: 0, spin: 0, numb: false
+    });
+    expect(first.magnitude).toBeCloseTo(0.8);
+    expect(first.coherence).toBeCloseTo(0.8);
+    expect(second.dominantEmotion).toBe('rage');
+    expect(second.deltaCoherence).toBeCloseTo(0.4 - 0.8);
+    expect(second.spin).toBe(-1);
+  });
+
+  test('uses emotional token components and lemmas for plain tokens', () => {
+    const token = new EmotionalHyperpositionToken('storm', 'ENTITY', { seed: 1 });
+    token.addEmotionalComponent('fear', 0.5, Math.PI);
+    const timeline = new EmotionalTimeline({ seed: 1 });
+
+    expect(timeline.record({ tokens: [token, plain('loved')], lemmas: [null, 'love'] }).components)
+      .toEqual({ fear: 0.5, joy: 0.8, yearning: 0.3 });
+  });
+
+  test('merges repeated emotions within a sentence, capped at 1', () => {
+    const timeline = new EmotionalTimeline({ seed: 1 });
+    const entry = timeline.record({ tokens: [plain('happy'), plain('glad')] });
+
+    expect(entry.components).toEqual({ joy: 1 });
+    expect(entry.magnitude).toBeCloseTo(1);
+  });
+
+  test('sentences without emotions keep the trajectory in place', () => {
+    const timeline = new EmotionalTimeline({ seed: 1 });
+    timeline.record({ tokens: [plain('happy')] });
+    const neutral = timeline.record({ tokens: [plain('table')] });
+    const again = timeline.record({ tokens: [plain('happy')] });
+
+    expect(neutral).toMatchObject({ emotional: false, magnitude: 0, dominantEmotion: null, spin: 0 });
+    expect(again.deltaCoherence).toBeCloseTo(0);
+    expect(again.spin).toBe(0);
+  });
+
+  test('flags cancelling emotions as numb', () => {
+    const entry = new EmotionalTimeline({ seed: 1 }).record({ tokens: [plain('happy'), plain('sad')] });
+
+    expect(entry.magnitude).toBeCloseTo(0);
+    expect(entry.coherence).toBe(0);
+    expect(entry.numb).toBe(true);
+  });
+
+  test('counts mixed emotions as numb only below the interference threshold', () => {
+    const timeline = new EmotionalTimeline({ seed: 1 });
+    const faint = timeline.record({ tokens: [plain('happy'), plain('unhappy')] });
+    const mixed = timeline.record({ tokens: [plain('happy'), plain('worried')] });
+
+    expect(faint.magnitude).toBeLessThan(INTERFERENCE_THRESHOLD);
+    expect(faint.numb).toBe(true);
+    expect(mixed.magnitude).toBeGreaterThan(INTERFERENCE_THRESHOLD);
+    expect(mixed.numb).toBe(false);
+  });
+
+  test('groups growth, decay and numbness runs into segments', () => {
+    const timeline = new EmotionalTimeline({ seed: 1 });
+    [['annoyed'], ['happy'], ['table'], ['worried'], ['happy', 'sad'], ['numb'], ['calm']]
+      .forEach((words, index) => timeline.record({ index, tokens: words.map(plain) }));
+
+    expect(timeline.entries.map(entry => entry.spin)).toEqual([0, 1, 0, -1, -1, 1, 0]);
+    expect(timeline.segments()).toEqual([
+      { type: 'growth', start: 1, end: 1, sentences: [1] },
+      { type: 'decay', start: 3, end: 4, sentences: [3, 4] },
+      { type: 'numbness', start: 4, end: 5, sentences: [4, 5] },
+      { type: 'growth', start: 5, end: 5, sentences: [5] }
+    ]);
+    expect(timeline.toJSON()).toEqual({ entries: timeline.entries, segments: timeline.segments() });
+  });
+});
+
+describe('HSTNNProcessor.processTimeline', () => {
+  const text = 'The day began. She was very happy. Then the dog died and she was not happy. She felt happy but sad.';
+
+  test('tracks the emotional trajectory sentence by sentence', () => {
+    const timeline = new HSTNNProcessor({ seed: 2 }).processTimeline(text);
+
+    expect(timeline.entries.map(entry => entry.text)).toEqual([
+      'The day began.',
+      'She was very happy.',
+      'Then the dog died and she was not happy.',
+      'She felt happy but sad.'
+    ]);
+    expect(timeline.entries.map(entry => entry.dominantEmotion)).toEqual([null, 'joy', 'grief', 'joy']);
+    expect(timeline.entries[1].components).toEqual({ joy: 1 });
+    expect(timeline.segments().map(segment => segment.type)).toEqual(['decay', 'numbness']);
+    timeline.entries.forEach(entry => expect(text.slice(entry.start, entry.end)).toBe(entry.text));
+  });
+
+  test('opens on a baseline, so a steady text has no segments', () => {
+    const timeline = new HSTNNProcessor({ seed: 2 }).processTimeline('I was happy. I was happy. I was happy.');
+
+    expect(timeline.entries.map(entry => [entry.deltaCoherence, entry.spin])).toEqual([[0, 0], [0, 0], [0, 0]]);
+    expect(timeline.segments()).toEqual([]);
+  });
+
+  test('gives the same trajectory with emotional tokens', () => {
+    const plainTimeline = new HSTNNProcessor({ seed: 2 }).processTimeline(text);
+    const emotionalTimeline = new HSTNNProcessor({ seed: 2, emotional: true }).processTimeline(text);
+
+    expect(emotionalTimeline.toJSON()).toEqual(plainTimeline.toJSON());
+  });
+
+  test('rejects non-string input', () => {
+    expect(() => new HSTNNProcessor().processTimeline(null)).toThrow('processTimeline expects a string, got null');
+  });
+});
@@ -4,19 +4,111 @@
  */
 
 import { HyperpositionToken } from './HyperpositionToken.js';
+import { EmotionalHyperpositionToken } from './EmotionalHyperposition.js';
+import { EmotionLexicon } from './EmotionLexicon.js';
+import { EmotionalTimeline } from './EmotionalTimeline.js';
+import { EmotionalContagion } from './EmotionalContagion.js';
 import { SkipTraceEngine } from './SkipTraceEngine.js';
 import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { ScopeResolver } from './ScopeResolver.js';
+import { RollingContext } from './RollingContext.js';
+import { ProcessingResult } from './ProcessingResult.js';
+import { BatchProcessor } from './BatchProcessor.js';
+import { Pipeline } from './Pipeline.js';
+import { PROCESSOR_SCHEMA, STREAM_SCHEMA } from './ConfigSchema.js';
+import { resolveRandom } from './SeededRandom.js';
+
+/**
+ * Stages of processText in order; each reads and extends the shared state
+ * {text, random, compression, hyperTokens, context, engine, traces}; engineOptions,
+ * when set, overrides the trace engine's settings.
+ * processDocument and processStream run compress once over the whole text or window,
+ * the stages between compress and collapse once over all its tokens, then collapse
+ * and trace once per sentence or window (plus once across sentences in documents),
+ * so those two stages and their hooks see that segment's text and tokens.
+ * processTimeline stops before collapse
+ */
+export const DEFAULT_STAGES = [
+  {
+    name: 'compress',
+    run: (state, processor) => {
+      state.compression = processor.library.compress(state.text);
+    }
+  },
+  {
+    // Attach negation, intensity and possibility modifiers to what they govern
+    name: 'scope',
+    run: (state, processor) => {
+      state.compression.scopes = processor.config.resolveScope
+        ? processor.scopeResolver.resolve(state.compression)
+        : [];
+    }
+  },
+  {
+    // Hyperposition tokens, with scoped modifiers applied before collapse
+    name: 'tokens',
+    run: (state, processor) => {
+      state.hyperTokens = processor.createHyperpositionTokens(state.compression, state.random);
+      processor.scopeResolver.apply(state.hyperTokens, state.compression.scopes || []);
+    }
+  },
+  {
+    // Lexicon emotions on EmotionalHyperpositionTokens, after scope so negation flips them
+    name: 'emotion',
+    run: (state, processor) => {
+      if (processor.emotionLexicon) {
+        processor.tagEmotions(state.hyperTokens, state.compression);
+      }
+    }
+  },
+  {
+    name: 'resonance',
+    run: (state, processor) => processor.buildResonanceConnections(state.hyperTokens)
+  },
+  {
+    // Strong links between coreferent mentions
+    name: 'coreference',
+    run: (state, processor) => processor.linkCoreferences(state.hyperTokens, state.compression)
+  },
+  {
+    // Spread emotions along the connections just built (emotional mode, contagionIterations > 0)
+    name: 'contagion',
+    run: (state, processor) => {
+      if (processor.emotionLexicon && processor.config.contagionIterations > 0) {
+        state.contagion = processor.spreadEmotions(state.hyperTokens);
+      }
+    }
+  },
+  {
+    name: 'collapse',
+    run: (state, processor) => {
+      state.context = processor.analyzeContext(state.text);
+      state.hyperTokens.forEach(token => token.collapse(state.context));
+    }
+  },
+  {
+    name: 'trace',
+    run: (state, processor) => {
+      state.engine = processor.createEngine(state.hyperTokens, state.compression, state.engineOptions);
+      state.traces = state.engine.generateTraces();
+    }
+  }
+];
+
+// Stages processDocument and processStream run per text, sentence or window rather than
+// through prepareTokens
+const SEGMENTED_STAGES = ['compress', 'collapse', 'trace'];
 
 export class HSTNNProcessor {
   constructor(config = {}) {
+    // Validated against PROCESSOR_SCHEMA: types, ranges and defaults; unknown keys throw
+    this.config = PROCESSOR_SCHEMA.apply(config);
     this.library = new UniversalTokenLibrary();
-    this.config = {
-      skipThreshold: config.skipThreshold || 0.3,
-      maxTraceLength: config.maxTraceLength || 10,
-      branchingFactor: config.branchingFactor || 3,
-      resonanceStrength: config.resonanceStrength || 1.0,
-      ...config
-    };
+    this.scopeResolver = new ScopeResolver(this.config.scope);
+    this.emotionLexicon = this.config.emotional
+      ? new EmotionLexicon({ entries: this.config.emotionLexicon })
+      : null;
+    this.pipeline = new Pipeline(DEFAULT_STAGES);   // Replaceable stages with before/after hooks
     
     // Metrics for analysis
     this.metrics = {
@@ -31,52 +123,391 @@ export class HSTNNProcessor {
    * Process input text through the HSTNN pipeline
    */
   processText(text) {
+    if (typeof text !== 'string') {
+      throw new Error(`processText expects a string, got ${text === null ? 'null' : typeof text}`);
+    }
+    
     const startTime = Date.now();
     
-    // Step 1: Tokenize and classify into universal tokens
-    const compression = this.library.compress(text);
+    // Compress, build tokens and connections, collapse and trace (see DEFAULT_STAGES)
+    const state = this.pipeline.run({ text, random: this.createRandom() }, this);
+    const traces = state.traces || [];
     
-    // Step 2: Create hyperposition tokens
-    const hyperTokens = this.createHyperpositionTokens(compression);
+    // Update metrics
+    this.updateMetrics(state.compression, traces, Date.now() - startTime);
     
-    // Step 3: Build resonance connections
-    this.buildResonanceConnections(hyperTokens);
+    return new ProcessingResult({
+      original: text,
+      compression: state.compression,
+      hyperTokens: state.hyperTokens,
+      traces: traces,
+      bestTrace: state.engine ? state.engine.getBestTrace() : traces[0] || null,
+      coherentTraces: state.engine ? state.engine.getCoherentTraces() : [],
+      ...(state.contagion && { contagion: state.contagion }),
+      metrics: this.metrics
+    });
+  }
+  
+  /**
+   * Process many texts in parallel on worker_threads
+   * Resolves to [{index, result, error}] in input order, where result is the
+   * ProcessingResult JSON form and error is {name, message} for an item that threw.
+   * Every item runs on a fresh processor with this config, so a seeded batch
+   * matches processText item for item
+   */
+  async processBatch(texts, options = {}) {
+    return new BatchProcessor(this.config, options).run(texts);
+  }
+  
+  /**
+   * Process a multi-sentence document
+   * Each sentence is collapsed in its own context and traced on its own; a second pass
+   * traces across sentences, where hops between sentences need crossSentenceThreshold
+   * unless the arrangement graph links the pair (a pronoun and its antecedent, a cause
+   * and its effect). The cross-sentence pass searches with documentTraceMode. Every
+   * trace lists the indices of the sentences it spans
+   */
+  processDocument(text) {
+    if (typeof text !== 'string') {
+      throw new Error(`processDocument expects a string, got ${text === null ? 'null' : typeof text}`);
+    }
     
-    // Step 4: Apply context to collapse states
-    const context = this.analyzeContext(text);
-    hyperTokens.forEach(token => token.collapse(context));
+    const startTime = Date.now();
+    const random = this.createRandom();
     
-    // Step 5: Generate skip traces
-    const engine = new SkipTraceEngine(hyperTokens, this.config.skipThreshold);
-    const traces = engine.generateTraces();
+    // Compress once so positions, coreference and arrangements span the whole document
+    const segments = this.library.tokenizer.sentences(text);
+    const { compression } = this.pipeline.runStage('compress', { text, random }, this);
+    compression.tokens.forEach(token => {
+      token.sentence = this.sentenceIndexOf(segments, token.start);
+    });
+    
+    const prepared = this.prepareTokens(compression, random, text);
+    const hyperTokens = prepared.hyperTokens;
+    
+    // Per-sentence groups: collapse and trace within each sentence
+    const sentences = segments.map((segment, index) => {
+      const tokens = hyperTokens.filter(token => token.sentence === index);
+      const state = this.pipeline.runStage('collapse',
+        { text: segment.text, random, compression, hyperTokens: tokens }, this);
+      if (tokens.length > 0) this.pipeline.runStage('trace', state, this);
+      
+      const traces = state.traces || [];
+      traces.forEach(trace => { trace.sentences = [index]; });
+      
+      return {
+        index: index,
+        text: segment.text,
+        start: segment.start,
+        end: segment.end,
+        tokens: tokens,
+        traces: traces,
+        bestTrace: traces.length > 0 ? traces[0] : null
+      };
+    });
+    
+    // Cross-sentence links from the arrangement graph
+    const sentenceAt = new Map(hyperTokens.map(token => [token.position, token.sentence]));
+    const links = (compression.arrangements || [])
+      .filter(edge => sentenceAt.get(edge.from) !== sentenceAt.get(edge.to))
+      .map(edge => ({ ...edge, fromSentence: sentenceAt.get(edge.from), toSentence: sentenceAt.get(edge.to) }));
+    
+    // Cross-sentence traces: keep only those that actually leave their sentence
+    let crossTraces = [];
+    if (sentences.length > 1) {
+      const linked = new Set(links.flatMap(link => [`${link.from}-${link.to}`, `${link.to}-${link.from}`]));
+      const state = this.pipeline.runStage('trace', {
+        text, random, compression, hyperTokens,
+        engineOptions: {
+          mode: this.config.documentTraceMode,
+          pairThreshold: (from, to) => {
+            if (from.sentence === to.sentence || linked.has(`${from.position}-${to.position}`)) {
+              return this.config.skipThreshold;
+            }
+            return this.config.crossSentenceThreshold;
+          }
+        }
+      }, this);
+      
+      crossTraces = (state.traces || []).filter(trace => {
+        trace.sentences = [...new Set(trace.path.map(token => token.sentence))].sort((a, b) => a - b);
+        return trace.sentences.length > 1;
+      });
+    }
+    
+    const traces = [...sentences.flatMap(sentence => sentence.traces), ...crossTraces]
+      .sort((a, b) => b.coherence - a.coherence);
     
-    // Update metrics
     this.updateMetrics(compression, traces, Date.now() - startTime);
     
-    return {
+    return new ProcessingResult({
       original: text,
       compression: compression,
       hyperTokens: hyperTokens,
+      sentences: sentences,
       traces: traces,
-      bestTrace: engine.getBestTrace(),
-      coherentTraces: engine.getCoherentTraces(),
+      crossTraces: crossTraces,
+      bestTrace: traces.length > 0 ? traces[0] : null,
+      discourse: {
+        sentenceCount: sentences.length,
+        links: links,
+        spans: traces.map(trace => ({
+          path: trace.path.map(token => token.surface),
+          sentences: trace.sentences,
+          coherence: trace.coherence
+        }))
+      },
+      ...(prepared.contagion && { contagion: prepared.contagion }),
       metrics: this.metrics
+    });
+  }
+  
+  /**
+   * Emotional trajectory of a text, one timeline entry per sentence
+   * Builds tokens as processDocument does (no traces) and records each sentence's
+   * superposition magnitude, coherence, dominant emotion and spin; uses the
+   * processor's lexicon whether or not config.emotional is set
+   */
+  processTimeline(text) {
+    if (typeof text !== 'string') {
+      throw new Error(`processTimeline expects a string, got ${text === null ? 'null' : typeof text}`);
+    }
+    
+    const random = this.createRandom();
+    const segments = this.library.tokenizer.sentences(text);
+    const { compression } = this.pipeline.runStage('compress', { text, random }, this);
+    compression.tokens.forEach(token => {
+      token.sentence = this.sentenceIndexOf(segments, token.start);
+    });
+    
+    const { hyperTokens } = this.prepareTokens(compression, random, text);
+    const timeline = new EmotionalTimeline({
+      random,
+      lexicon: this.emotionLexicon || new EmotionLexicon({ entries: this.config.emotionLexicon })
+    });
+    
+    segments.forEach((segment, index) => {
+      const members = compression.tokens
+        .map((token, i) => ({ token, hyperToken: hyperTokens[i] }))
+        .filter(({ token }) => token.sentence === index);
+      
+      timeline.record({
+        index: index,
+        text: segment.text,
+        start: segment.start,
+        end: segment.end,
+        tokens: members.map(member => member.hyperToken),
+        lemmas: members.map(member => member.token.lemma)
+      });
+    });
+    
+    return timeline;
+  }
+  
+  /**
+   * Process streamed text incrementally
+   * input is a string, a Node Readable or any (async) iterable of string/Buffer chunks.
+   * Yields one result per window of complete sentences; each window is traced together
+   * with a rolling context of earlier tokens, so traces can reach back across windows
+   * while memory stays bounded by streamContextTokens
+   */
+  async *processStream(input, options = {}) {
+    const settings = STREAM_SCHEMA.apply(options);
+    const windowSize = settings.windowSize ?? this.config.streamWindowSize;
+    const maxLength = settings.maxBufferLength ?? this.config.streamBufferLength;
+    const context = new RollingContext({ maxTokens: settings.contextTokens ?? this.config.streamContextTokens });
+    const random = this.createRandom();
+    const decoder = new TextDecoder();
+    
+    let buffer = '';
+    let offset = 0;       // Stream offset of buffer[0]
+    let index = 0;
+    const pending = [];   // Complete sentences waiting to fill a window
+    
+    const take = final => {
+      let consumed;
+      do {
+        const taken = this.takeSentences(buffer, final, maxLength);
+        pending.push(...taken.sentences.map(sentence => ({
+          text: sentence.text,
+          start: sentence.start + offset,
+          end: sentence.end + offset
+        })));
+        consumed = taken.consumed;
+        buffer = buffer.slice(consumed);
+        offset += consumed;
+      } while (consumed > 0 && !final);
     };
+    
+    for await (const chunk of typeof input === 'string' ? [input] : input) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      take(false);
+      while (pending.length >= windowSize) {
+        yield this.processWindow(pending.splice(0, windowSize), index++, context, random);
+      }
+    }
+    
+    buffer += decoder.decode();
+    take(true);
+    while (pending.length > 0) {
+      yield this.processWindow(pending.splice(0, windowSize), index++, context, random);
+    }
+  }
+  
+  /**
+   * Complete sentences at the front of a stream buffer: {sentences, consumed}
+   * The last sentence may still grow until the stream ends; an unpunctuated
+   * buffer longer than maxLength is cut at its last space instead
+   */
+  takeSentences(buffer, final, maxLength) {
+    const segments = this.library.tokenizer.sentences(buffer);
+    let sentences = final ? segments : segments.slice(0, -1);
+    
+    if (sentences.length === 0 && !final && buffer.length > maxLength) {
+      const cut = buffer.lastIndexOf(' ', maxLength);
+      sentences = this.library.tokenizer.sentences(buffer.slice(0, cut > 0 ? cut : buffer.length));
+    }
+    
+    const consumed = sentences.length > 0 ? sentences[sentences.length - 1].end : 0;
+    return { sentences, consumed };
+  }
+  
+  /**
+   * Process one streamed window against the rolling context, then add it to the context
+   */
+  processWindow(sentences, index, context, random) {
+    const startTime = Date.now();
+    const firstSentence = context.nextSentence;
+    
+    // Lay the window's sentences out as one text, remembering where each starts
+    const local = [];
+    let text = '';
+    sentences.forEach(sentence => {
+      if (text) text += ' ';
+      local.push({ start: text.length });
+      text += sentence.text;
+    });
+    
+    const compression = context.place(this.pipeline.runStage('compress', { text, random }, this).compression,
+      token => this.sentenceIndexOf(local, token.start));
+    const prepared = this.prepareTokens(compression, random, text);
+    const hyperTokens = prepared.hyperTokens;
+    const contextTokens = [...context.tokens];
+    
+    this.pipeline.runStage('collapse', { text, random, compression, hyperTokens }, this);
+    
+    // Reach back: resonance with earlier tokens and pronouns resolved against them
+    const parser = this.library.parser;
+    const links = context.resolveReferences(compression, parser.coreference, parser.weights.COREFERENCE);
+    this.connectContext(hyperTokens, contextTokens);
+    this.linkCoreferences([...contextTokens, ...hyperTokens], { arrangements: links });
+    
+    const state = this.pipeline.runStage('trace', {
+      text, random,
+      compression: { arrangements: [...context.arrangements, ...compression.arrangements, ...links] },
+      hyperTokens: [...contextTokens, ...hyperTokens],
+      engineOptions: { mode: this.config.streamTraceMode }
+    }, this);
+    
+    // Keep traces that touch this window; earlier windows already reported the rest
+    const own = new Set(hyperTokens);
+    const traces = (state.traces || []).filter(trace => trace.path.some(token => own.has(token)));
+    traces.forEach(trace => {
+      trace.sentences = [...new Set(trace.path.map(token => token.sentence))].sort((a, b) => a - b);
+    });
+    
+    context.push(hyperTokens, compression.tokens, [...compression.arrangements, ...links]);
+    context.nextSentence += sentences.length;
+    this.updateMetrics(compression, traces, Date.now() - startTime);
+    
+    return new ProcessingResult({
+      index: index,
+      text: text,
+      start: sentences[0].start,
+      end: sentences[sentences.length - 1].end,
+      sentences: sentences.map((sentence, i) => ({ index: firstSentence + i, ...sentence })),
+      compression: compression,
+      hyperTokens: hyperTokens,
+      links: links,
+      traces: traces,
+      bestTrace: traces.length > 0 ? traces[0] : null,
+      contextSize: contextTokens.length,
+      ...(prepared.contagion && { contagion: prepared.contagion }),
+      metrics: { ...this.metrics }
+    });
+  }
+  
+  /**
+   * Index of the sentence containing a character offset
+   */
+  sentenceIndexOf(sentences, offset) {
+    let index = 0;
+    for (let i = 0; i < sentences.length; i++) {
+      if (sentences[i].start <= offset) index = i;
+    }
+    return index;
+  }
+  
+  /**
+   * Build connected hyperposition tokens for an existing compression by running
+   * the pipeline without its compress, collapse and trace stages
+   * Returns the pipeline state: {hyperTokens, contagion?, ...}
+   */
+  prepareTokens(compression, random, text = '') {
+    return this.pipeline.run({ text, random, compression }, this, { skip: SEGMENTED_STAGES });
+  }
+  
+  /**
+   * Skip-trace engine over some of a compression's tokens, configured from this.config
+   */
+  createEngine(hyperTokens, compression, overrides = {}) {
+    return new SkipTraceEngine(hyperTokens, this.config.skipThreshold, {
+      maxTraceLength: this.config.maxTraceLength,
+      branchingFactor: this.config.branchingFactor,
+      mode: this.config.traceMode,
+      maxTraces: this.config.maxTraces,
+      beamWidth: this.config.beamWidth,
+      beamScore: this.config.beamScore,
+      scoreComponents: this.config.scoreComponents,
+      arrangements: compression.arrangements,
+      arrangementWeight: this.config.arrangementWeight,
+      coreferenceWeight: this.config.coreferenceWeight,
+      explain: this.config.explain,
+      ...overrides
+    });
+  }
+  
+  /**
+   * Create the random source for one processing run
+   * A configured seed restarts the sequence each run, so identical input
+   * and seed always reproduce identical tokens and traces
+   */
+  createRandom() {
+    return resolveRandom(this.config);
   }
   
   /**
    * Create hyperposition tokens from compressed representation
    */
-  createHyperpositionTokens(compression) {
+  createHyperpositionTokens(compression, random = Math.random) {
     const hyperTokens = [];
+    const TokenClass = this.config.emotional ? EmotionalHyperpositionToken : HyperpositionToken;
     
     for (const token of compression.tokens) {
-      const hyperToken = new HyperpositionToken(
+      const hyperToken = new TokenClass(
         token.surface,
-        token.universal
+        token.universal,
+        {
+          random,
+          id: `t${token.position}`,
+          position: token.position,
+          sentence: token.sentence,
+          distanceDecay: this.config.distanceDecay,
+          interpretations: token.candidates
+        }
       );
       
-      // Adjust initial dimensions based on token type
+      // Adjust initial dimensions based on token type, blended across ambiguous readings
       this.adjustInitialDimensions(hyperToken, token);
       
       hyperTokens.push(hyperToken);
@@ -85,8 +516,45 @@ export class HSTNNProcessor {
     return hyperTokens;
   }
   
+  /**
+   * Add lexicon emotions to each token from its word and scope modality
+   * Tokens that gained components are renormalized, since their emotional
+   * dimension now holds the superposition magnitude
+   */
+  tagEmotions(hyperTokens, compression) {
+    hyperTokens.forEach((hyperToken, index) => {
+      const token = compression.tokens[index];
+      const components = this.emotionLexicon.populate(hyperToken, token ? token.lemma : null);
+      if (components.length > 0) {
+        hyperToken.normalizeDimensions();
+      }
+    });
+    
+    return hyperTokens;
+  }
+  
+  /**
+   * Diffuse emotional components along resonance and coreference connections
+   * Returns the EmotionalContagion convergence report
+   */
+  spreadEmotions(hyperTokens) {
+    const contagion = new EmotionalContagion({
+      iterations: this.config.contagionIterations,
+      rate: this.config.contagionRate,
+      damping: this.config.contagionDamping
+    });
+    const report = contagion.propagate(hyperTokens);
+    
+    hyperTokens
+      .filter(token => token.emotionalState && token.emotionalState.components.size > 0)
+      .forEach(token => token.normalizeDimensions());
+    return report;
+  }
+  
   /**
    * Adjust token dimensions based on its universal type and transform
+   * An ambiguous token ("make": ACTION or RELATION) gets the confidence-weighted
+   * average of each candidate type's factors, so it starts superposed between them
    */
   adjustInitialDimensions(hyperToken, tokenInfo) {
     const adjustments = {
@@ -117,9 +585,17 @@ export class HSTNNProcessor {
       }
     };
     
-    const typeAdjustments = adjustments[tokenInfo.universal] || {};
+    const candidates = tokenInfo.candidates && tokenInfo.candidates.length > 0
+      ? tokenInfo.candidates
+      : [{ universal: tokenInfo.universal, confidence: 1 }];
+    const totalConfidence = candidates.reduce((sum, c) => sum + c.confidence, 0) || 1;
     
-    for (const [dim, factor] of Object.entries(typeAdjustments)) {
+    for (const dim in hyperToken.dimensions) {
+      let factor = 0;
+      for (const candidate of candidates) {
+        const typeAdjustments = adjustments[candidate.universal] || {};
+        factor += (typeAdjustments[dim] ?? 1) * candidate.confidence / totalConfidence;
+      }
       hyperToken.dimensions[dim] *= factor;
     }
     
@@ -134,20 +610,64 @@ export class HSTNNProcessor {
     
     for (let i = 0; i < n; i++) {
       for (let j = i + 1; j < n; j++) {
-        const resonance = hyperTokens[i].resonanceWith(hyperTokens[j]);
-        
-        // Apply resonance strength multiplier
-        const adjustedResonance = resonance * this.config.resonanceStrength;
-        
-        // Create bidirectional connections for strong resonance
-        if (adjustedResonance > 0.5) {
-          hyperTokens[i].addConnection(hyperTokens[j], adjustedResonance);
-          hyperTokens[j].addConnection(hyperTokens[i], adjustedResonance);
-        }
+        this.connectResonant(hyperTokens[i], hyperTokens[j]);
+      }
+    }
+  }
+  
+  /**
+   * Build resonance connections between new tokens and tokens kept from earlier input
+   */
+  connectContext(hyperTokens, contextTokens) {
+    for (const token of hyperTokens) {
+      for (const earlier of contextTokens) {
+        this.connectResonant(token, earlier);
       }
     }
   }
   
+  /**
+   * Connect two tokens both ways when their resonance is strong
+   */
+  connectResonant(a, b) {
+    // Apply resonance strength multiplier
+    const adjustedResonance = a.resonanceWith(b) * this.config.resonanceStrength;
+    
+    // Create bidirectional connections for strong resonance
+    if (adjustedResonance > 0.5) {
+      a.addConnection(b, adjustedResonance);
+      b.addConnection(a, adjustedResonance);
+    }
+  }
+  
+  /**
+   * Connect pronouns to their antecedents in both directions
+   * Uses the COREFERENCE edges of the arrangement graph, matched by position
+   */
+  linkCoreferences(hyperTokens, compression) {
+    const byPosition = new Map(hyperTokens.map(token => [token.position, token]));
+    const strength = this.config.coreferenceStrength;
+    
+    for (const edge of compression.arrangements || []) {
+      if (edge.type !== 'COREFERENCE') continue;
+      
+      const pronoun = byPosition.get(edge.from);
+      const antecedent = byPosition.get(edge.to);
+      if (!pronoun || !antecedent) continue;
+      
+      pronoun.addConnection(antecedent, strength, 'coreference');
+      antecedent.addConnection(pronoun, strength, 'coreference');
+    }
+  }
+  
+  /**
+   * Render a skip trace as a sentence, in the order the trace visits its tokens
+   * Uses the arrangement graph of the compression the trace came from
+   */
+  realizeTrace(trace, compression) {
+    return this.library.decompress(trace, compression ? compression.arrangements : null);
+  }
+  
   /**
    * Analyze context to determine collapse weights
    */
@@ -201,7 +721,12 @@ export class HSTNNProcessor {
     // Show universal tokens
     output.push('\nUniversal Tokens:');
     result.compression.tokens.forEach(token => {
-      output.push(`  ${token.surface} → [${token.universal}.${token.transform}]`);
+      // List the other readings of ambiguous tokens
+      const alternatives = (token.candidates || []).slice(1)
+        .map(c => `${c.universal}.${c.transform} ${c.confidence.toFixed(2)}`);
+      const ambiguity = alternatives.length > 0 ? ` (also ${alternatives.join(', ')})` : '';
+      const scope = (token.scope || []).map(s => ` {${s.type.toLowerCase()}: ${s.operator}}`).join('');
+      output.push(`  ${token.surface} → [${token.universal}.${token.transform}]${ambiguity}${scope}`);
     });
     
     // Show best trace
@@ -211,7 +736,15 @@ export class HSTNNProcessor {
         .map(t => `[${t.surface}]`)
         .join(' → ');
       output.push(`  ${path}`);
+      output.push(`  Reads: "${this.realizeTrace(result.bestTrace, result.compression)}"`);
       output.push(`  Coherence: ${result.bestTrace.coherence.toFixed(3)}`);
+      
+      // Per-hop breakdown when processed in explain mode
+      if (result.bestTrace.hops) {
+        result.bestTrace.hops.forEach(hop => {
+          output.push(`    ${SkipTraceEngine.formatHop(hop)}`);
+        });
+      }
     }
     
     // Show alternative traces
@@ -77,6 +77,81 @@ describe('HSTNNProcessor', () => {
   });
 });
 
+describe('HSTNNProcessor document mode', () => {
+  const text = 'The boy ran because he was scared. He never felt happy. The dog barked.';
+  
+  it('should group tokens and traces by sentence', () => {
+    const processor = new HSTNNProcessor({ seed: 3, traceMode: 'beam' });
+    const result = processor.processDocument(text);
+    
+    assert.strictEqual(result.sentences.length, 3);
+    assert.strictEqual(result.discourse.sentenceCount, 3);
+    assert.deepStrictEqual(result.sentences[1].tokens.map(t => t.surface), ['he', 'never', 'felt', 'happy']);
+    
+    result.sentences.forEach(sentence => {
+      sentence.traces.forEach(trace => {
+        assert.deepStrictEqual(trace.sentences, [sentence.index]);
+        assert(trace.path.every(t => t.sentence === sentence.index), 'Within-sentence traces stay in their sentence');
+      });
+    });
+  });
+  
+  it('should link sentences through coreference', () => {
+    const processor = new HSTNNProcessor({ seed: 3, traceMode: 'beam' });
+    const result = processor.processDocument(text);
+    
+    const link = result.discourse.links.find(l => l.type === 'COREFERENCE' && l.fromSentence === 1);
+    assert(link, 'Second sentence "he" should link back to the first sentence');
+    assert.strictEqual(link.toSentence, 0);
+  });
+  
+  it('should list the sentences each cross-sentence trace spans', () => {
+    const processor = new HSTNNProcessor({ seed: 3, traceMode: 'beam' });
+    const result = processor.processDocument(text);
+    
+    assert(result.crossTraces.length > 0, 'Should find cross-sentence traces');
+    result.crossTraces.forEach(trace => {
+      const spanned = [...new Set(trace.path.map(t => t.sentence))].sort((a, b) => a - b);
+      assert(trace.sentences.length > 1, 'Cross-sentence traces span several sentences');
+      assert.deepStrictEqual(trace.sentences, spanned);
+    });
+    assert.strictEqual(result.discourse.spans.length, result.traces.length);
+  });
+  
+  it('should not cross sentences when the cross-sentence threshold is unreachable', () => {
+    const processor = new HSTNNProcessor({ seed: 3, traceMode: 'beam', crossSentenceThreshold: 2, coreferenceStrength: 0 });
+    const result = processor.processDocument('The cat sleeps. The dog barked.');
+    
+    assert.strictEqual(result.crossTraces.length, 0);
+  });
+  
+  it('should search across sentences with documentTraceMode', () => {
+    const modes = (config) => {
+      const processor = new HSTNNProcessor({ seed: 3, ...config });
+      const seen = [];
+      const createEngine = processor.createEngine.bind(processor);
+      processor.createEngine = (...args) => {
+        const engine = createEngine(...args);
+        seen.push(engine.mode);
+        return engine;
+      };
+      processor.processDocument('The cat sleeps. The dog barked.');
+      return seen;
+    };
+    
+    // One engine per sentence, then the cross-sentence pass
+    assert.deepStrictEqual(modes({}), ['exhaustive', 'exhaustive', 'beam']);
+    assert.deepStrictEqual(modes({ documentTraceMode: 'exhaustive', traceMode: 'beam' }), ['beam', 'beam', 'exhaustive']);
+  });
+  
+  it('should reject non-string input', () => {
+    const processor = new HSTNNProcessor();
+    
+    assert.throws(() => processor.processDocument(null), /processDocument expects a string, got null/);
+    assert.throws(() => processor.processDocument(42), /processDocument expects a string, got number/);
+  });
+});
+
 describe('HyperpositionToken', () => {
   it('should initialize with 8 dimensions', () => {
     const token = new HyperpositionToken('test', 'ENTITY');
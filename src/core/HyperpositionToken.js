@@ -3,24 +3,53 @@
  * Inspired by quantum superposition and hippocampal memory indexing
  */
 
+import { resolveRandom } from './SeededRandom.js';
+
+/**
+ * Default decay of resonance over token distance
+ * - exponential: floor + (1 - floor) · e^(-rate·(d-1))
+ * - power:       floor + (1 - floor) · d^(-exponent)
+ * - window:      1 within `window` tokens, floor beyond
+ */
+export const DEFAULT_DISTANCE_DECAY = {
+  type: 'exponential',
+  rate: 0.15,       // Exponential decay rate per token
+  exponent: 1.0,    // Power-law exponent
+  window: 3,        // Step window size in tokens
+  floor: 0.5        // Minimum penalty so long-range skips stay possible
+};
+
+// Decay curves calculateDistancePenalty knows
+export const DISTANCE_DECAY_TYPES = ['exponential', 'power', 'window'];
+
 export class HyperpositionToken {
-  constructor(surface, universal) {
+  constructor(surface, universal, options = {}) {
+    this.id = options.id ?? null;  // Stable identifier used by toJSON connection references
     this.surface = surface;        // Original text representation
     this.universal = universal;    // Universal token type (ENTITY, ACTION, etc.)
     this.connections = [];         // Skip-trace connections to other tokens
     this.resonance = 0;           // Total resonance with context
+    this.random = resolveRandom(options); // Seeded or Math.random source
+    this.position = options.position ?? null; // Sentence position, if known
+    this.sentence = options.sentence ?? null; // Sentence index in a document, if known
+    this.distanceDecay = { ...DEFAULT_DISTANCE_DECAY, ...options.distanceDecay };
+    if (!DISTANCE_DECAY_TYPES.includes(this.distanceDecay.type)) {
+      throw new Error(`Unknown distance decay type: ${this.distanceDecay.type}`);
+    }
+    this.interpretations = options.interpretations || []; // Candidate readings: {universal, transform, confidence}
+    this.modality = { polarity: 1, intensity: 1, certainty: 1, operators: [] }; // Set by ScopeResolver
     
     // Initialize 8-dimensional state vector
     // Each dimension represents a different aspect of meaning
     this.dimensions = {
-      semantic: Math.random(),     // Meaning space position
-      temporal: Math.random(),     // Time relationship
-      causal: Math.random(),       // Cause-effect strength
-      emotional: Math.random(),    // Affective resonance
-      relational: Math.random(),   // Connection strength
-      probability: Math.random(),  // Interpretation likelihood
-      energy: Math.random(),       // Activation potential
-      coherence: Math.random()     // Internal consistency
+      semantic: this.random(),     // Meaning space position
+      temporal: this.random(),     // Time relationship
+      causal: this.random(),       // Cause-effect strength
+      emotional: this.random(),    // Affective resonance
+      relational: this.random(),   // Connection strength
+      probability: this.random(),  // Interpretation likelihood
+      energy: this.random(),       // Activation potential
+      coherence: this.random()     // Internal consistency
     };
     
     // Normalize dimensions to ensure valid probability space
@@ -132,18 +161,42 @@ export class HyperpositionToken {
    * Allows non-linear jumps but with decreasing probability
    */
   calculateDistancePenalty(other) {
-    // In a real implementation, this would consider token positions
-    // For now, return a simulated penalty
-    return 0.8 + Math.random() * 0.2;
+    // Without positions there is no distance to penalize
+    if (this.position === null || other.position === null) {
+      return 1.0;
+    }
+    
+    const distance = Math.abs(this.position - other.position);
+    if (distance <= 1) return 1.0;
+    
+    const { type, rate, exponent, window, floor } = this.distanceDecay;
+    let decay;
+    
+    switch (type) {
+      case 'exponential':
+        decay = Math.exp(-rate * (distance - 1));
+        break;
+      case 'power':
+        decay = Math.pow(distance, -exponent);
+        break;
+      case 'window':
+        decay = distance <= window ? 1 : 0;
+        break;
+      default:
+        throw new Error(`Unknown distance decay type: ${type}`);
+    }
+    
+    return floor + (1 - floor) * decay;
   }
   
   /**
    * Add a skip-trace connection to another token
    */
-  addConnection(token, strength) {
+  addConnection(token, strength, type = 'resonance') {
     this.connections.push({
       token: token,
       strength: strength,
+      type: type,             // 'resonance' or 'coreference'
       timestamp: Date.now()
     });
     
@@ -179,9 +232,83 @@ export class HyperpositionToken {
     return {
       text: this.surface,
       type: this.universal,
+      position: this.position,
       dims: this.dimensions,
       resonance: this.resonance,
       connections: this.connections.length
     };
   }
+  
+  /**
+   * Plain-data form for JSON.stringify and ProcessingResult
+   * Connections refer to tokens by id; an optional token -> id map overrides token.id.
+   * Connection timestamps are wall-clock noise and are left out so identical runs
+   * serialize identically
+   */
+  toJSON(ids = null) {
+    const idOf = token => (ids instanceof Map && ids.has(token) ? ids.get(token) : token.id);
+    
+    return {
+      kind: 'HyperpositionToken',
+      id: idOf(this),
+      surface: this.surface,
+      universal: this.universal,
+      position: this.position,
+      sentence: this.sentence,
+      dimensions: { ...this.dimensions },
+      resonance: this.resonance,
+      distanceDecay: { ...this.distanceDecay },
+      interpretations: this.interpretations,
+      modality: { ...this.modality, operators: this.modality.operators.map(op => ({ ...op })) },
+      connections: this.connections.map(connection => ({
+        to: idOf(connection.token),
+        strength: connection.strength,
+        type: connection.type
+      }))
+    };
+  }
+  
+  /**
+   * Rebuild a token from toJSON output, as an instance of the class it is called on
+   * Connections are restored by restoreConnections once the tokens they point to exist
+   */
+  static fromJSON(data, options = {}) {
+    const token = new this(data.surface, data.universal, {
+      ...options,
+      random: () => 0,    // Dimensions come from data; don't draw from the caller's source
+      id: data.id,
+      position: data.position,
+      sentence: data.sentence,
+      distanceDecay: data.distanceDecay,
+      interpretations: data.interpretations
+    });
+    token.random = resolveRandom(options);
+    token.restoreState(data);
+    return token;
+  }
+  
+  /**
+   * Copy serialized state onto this token; subclasses extend it with their own fields
+   */
+  restoreState(data) {
+    this.dimensions = { ...data.dimensions };
+    this.resonance = data.resonance ?? 0;
+    if (data.modality) {
+      this.modality = { ...data.modality, operators: data.modality.operators.map(op => ({ ...op })) };
+    }
+  }
+  
+  /**
+   * Reconnect serialized connections through an id -> token map, skipping unknown ids
+   */
+  restoreConnections(connections, tokensById) {
+    this.connections = connections
+      .filter(connection => tokensById.has(connection.to))
+      .map(connection => ({
+        token: tokensById.get(connection.to),
+        strength: connection.strength,
+        type: connection.type,
+        timestamp: null
+      }));
+  }
 }
\ No newline at end of file
@@ -198,4 +198,47 @@ describe('HyperpositionToken', () => {
       }, 100);
     });
   });
-});
\ No newline at end of file
+
+  describe('calculateDistancePenalty', () => {
+    const at = (position, distanceDecay) =>
+      new HyperpositionToken('t', 'ENTITY', { position, distanceDecay, seed: 1 });
+
+    test('applies no penalty when positions are unknown', () => {
+      expect(token.calculateDistancePenalty(at(4))).toBe(1.0);
+    });
+
+    test('applies no penalty to adjacent tokens', () => {
+      expect(at(2).calculateDistancePenalty(at(3))).toBe(1.0);
+    });
+
+    test('exponential decay shrinks with distance towards the floor', () => {
+      const near = at(0).calculateDistancePenalty(at(2));
+      const far = at(0).calculateDistancePenalty(at(20));
+
+      expect(near).toBeLessThan(1.0);
+      expect(far).toBeLessThan(near);
+      expect(far).toBeGreaterThanOrEqual(0.5);
+    });
+
+    test('power-law decay follows d^-exponent above the floor', () => {
+      const decay = { type: 'power', exponent: 2, floor: 0 };
+      expect(at(0, decay).calculateDistancePenalty(at(4, decay))).toBeCloseTo(1 / 16, 10);
+    });
+
+    test('window decay is a step at the window edge', () => {
+      const decay = { type: 'window', window: 3, floor: 0.2 };
+      expect(at(0, decay).calculateDistancePenalty(at(3, decay))).toBe(1.0);
+      expect(at(0, decay).calculateDistancePenalty(at(4, decay))).toBeCloseTo(0.2, 10);
+    });
+
+    test('is deterministic for the same positions', () => {
+      const a = at(1);
+      const b = at(7);
+      expect(a.calculateDistancePenalty(b)).toBe(a.calculateDistancePenalty(b));
+    });
+
+    test('rejects unknown decay types on construction', () => {
+      expect(() => at(0, { type: 'linear' })).toThrow('Unknown distance decay type: linear');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Lemmatizer - Rule-based English morphology for universal token lookup
+ * Reduces inflected forms ("dogs", "running", "fled") to a lemma before classification
+ */
+
+/**
+ * Irregular forms by part of speech: surface -> lemma
+ */
+export const IRREGULAR_FORMS = {
+  verb: {
+    'am': 'be', 'is': 'be', 'are': 'be', 'was': 'be', 'were': 'be', 'been': 'be', 'being': 'be',
+    'has': 'have', 'had': 'have', 'does': 'do', 'did': 'do', 'done': 'do',
+    'ran': 'run', 'went': 'go', 'gone': 'go', 'came': 'come', 'fled': 'flee', 'fell': 'fall',
+    'fallen': 'fall', 'flew': 'fly', 'flown': 'fly', 'made': 'make', 'said': 'say',
+    'told': 'tell', 'knew': 'know', 'known': 'know', 'thought': 'think', 'felt': 'feel',
+    'broke': 'break', 'broken': 'break', 'built': 'build', 'forgot': 'forget',
+    'forgotten': 'forget', 'understood': 'understand', 'learnt': 'learn', 'spoke': 'speak',
+    'spoken': 'speak', 'wrote': 'write', 'written': 'write', 'hit': 'hit', 'led': 'lead',
+    'held': 'hold', 'stood': 'stand', 'left': 'leave', 'kept': 'keep', 'saw': 'see',
+    'seen': 'see', 'gave': 'give', 'given': 'give', 'took': 'take', 'taken': 'take',
+    'got': 'get', 'gotten': 'get', 'began': 'begin', 'begun': 'begin', 'ate': 'eat',
+    'eaten': 'eat', 'drove': 'drive', 'driven': 'drive', 'rose': 'rise', 'risen': 'rise',
+    'sang': 'sing', 'sung': 'sing', 'swam': 'swim', 'slept': 'sleep', 'fought': 'fight',
+    'brought': 'bring', 'caught': 'catch', 'taught': 'teach', 'sought': 'seek',
+    'lost': 'lose', 'met': 'meet', 'paid': 'pay', 'sat': 'sit', 'struck': 'strike',
+    'threw': 'throw', 'thrown': 'throw', 'woke': 'wake', 'wore': 'wear', 'won': 'win',
+    'grew': 'grow', 'grown': 'grow', 'drew': 'draw', 'drawn': 'draw', 'chose': 'choose',
+    'chosen': 'choose', 'hid': 'hide', 'hidden': 'hide', 'died': 'die', 'lay': 'lie',
+    'heard': 'hear', 'found': 'find', 'sent': 'send', 'spent': 'spend', 'meant': 'mean'
+  },
+  noun: {
+    'children': 'child', 'men': 'man', 'women': 'woman', 'mice': 'mouse', 'feet': 'foot',
+    'teeth': 'tooth', 'geese': 'goose', 'oxen': 'ox', 'lives': 'life', 'wives': 'wife',
+    'knives': 'knife', 'leaves': 'leaf', 'wolves': 'wolf', 'selves': 'self'
+  },
+  adjective: {
+    'better': 'good', 'best': 'good', 'worse': 'bad', 'worst': 'bad',
+    'more': 'many', 'most': 'many', 'less': 'few', 'least': 'few'
+  }
+};
+
+/**
+ * Words whose endings look inflected but are not ("thing", "always", "news")
+ */
+export const INVARIANT_FORMS = [
+  'thing', 'nothing', 'something', 'anything', 'everything', 'morning', 'evening',
+  'ceiling', 'during', 'king', 'ring', 'wing', 'spring', 'string', 'always', 'perhaps',
+  'news', 'series', 'species', 'lens', 'physics', 'mathematics', 'towards', 'afterwards',
+  'sometimes', 'its', 'his', 'hers', 'ours', 'yours', 'theirs', 'whereas', 'hundred'
+];
+
+// Doubled final consonants that are part of the lemma ("fall", "miss", "buzz")
+const KEEP_DOUBLE = new Set(['l', 's', 'z']);
+
+export class Lemmatizer {
+  constructor(options = {}) {
+    // Flatten irregular tables into surface -> {lemma, pos}, and lemma -> pos
+    this.irregular = new Map();
+    this.lemmas = new Map();
+    const tables = [IRREGULAR_FORMS, options.irregular || {}];
+    
+    for (const table of tables) {
+      for (const [pos, forms] of Object.entries(table)) {
+        for (const [surface, lemma] of Object.entries(forms)) {
+          this.irregular.set(surface.toLowerCase(), { lemma: lemma.toLowerCase(), pos: pos });
+          this.lemmas.set(lemma.toLowerCase(), pos);
+        }
+      }
+    }
+    
+    this.invariant = new Set([...INVARIANT_FORMS, ...(options.invariant || [])]);
+  }
+  
+  /**
+   * Reduce a lowercase word to its lemma
+   */
+  lemmatize(word, isKnown) {
+    return this.analyze(word, isKnown).lemma;
+  }
+  
+  /**
+   * Analyze a lowercase word into {lemma, pos, rule}
+   * isKnown(lemma) lets the caller prefer candidates present in its vocabulary;
+   * rule is 'irregular', 'suffix', 'homograph' (see analyses) or 'none'
+   */
+  analyze(word, isKnown = () => false) {
+    return this.analyses(word, isKnown)[0];
+  }
+  
+  /**
+   * Every reading of a lowercase word, the first being analyze's
+   * An irregular noun or adjective that is also a regular inflection of a known
+   * word keeps both readings: "lives" is life or live, "leaves" leaf or leave
+   */
+  analyses(word, isKnown = () => false) {
+    const irregular = this.irregular.get(word);
+    if (!irregular) {
+      return [this.regularAnalysis(word, isKnown)];
+    }
+    
+    const readings = [{ lemma: irregular.lemma, pos: irregular.pos, rule: 'irregular' }];
+    if (irregular.pos !== 'verb') {
+      const regular = this.regularAnalysis(word, isKnown);
+      const known = isKnown(regular.lemma) || this.lemmas.has(regular.lemma);
+      if (regular.rule === 'suffix' && regular.lemma !== irregular.lemma && known) {
+        readings.push({ lemma: regular.lemma, pos: this.lemmas.get(regular.lemma) ?? regular.pos, rule: 'homograph' });
+      }
+    }
+    return readings;
+  }
+  
+  /**
+   * Analysis by suffix rules alone, ignoring the irregular tables
+   */
+  regularAnalysis(word, isKnown) {
+    if (this.invariant.has(word)) {
+      return { lemma: word, pos: null, rule: 'none' };
+    }
+    
+    const candidates = this.suffixCandidates(word);
+    const match = candidates.find(candidate => isKnown(candidate.lemma)) ||
+      candidates.find(candidate => candidate.guess);
+    
+    if (match) {
+      return { lemma: match.lemma, pos: match.pos, rule: 'suffix' };
+    }
+    
+    return { lemma: word, pos: null, rule: 'none' };
+  }
+  
+  /**
+   * Generate candidate lemmas from inflectional suffixes
+   * Candidates flagged `guess` are used when none is known to the caller
+   */
+  suffixCandidates(word) {
+    const candidates = [];
+    const add = (lemma, pos, guess = false) => {
+      if (lemma.length >= 2 && lemma !== word) {
+        candidates.push({ lemma, pos, guess });
+      }
+    };
+    
+    // Stems need a vowel, so "bring" and "string" are left alone
+    const hasVowel = stem => /[aeiouy]/.test(stem);
+    
+    if (word.length > 4 && word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+      this.addStemCandidates(word.slice(0, -3), 'verb', add);
+    }
+    
+    if (word.length > 3 && word.endsWith('ed')) {
+      if (word.endsWith('eed')) {
+        // "agreed" -> agree only when known; "speed" and "need" stay whole
+        add(word.slice(0, -1), 'verb');
+      } else if (word.endsWith('ied')) {
+        add(word.slice(0, -3) + 'y', 'verb', true);
+      } else if (hasVowel(word.slice(0, -2))) {
+        this.addStemCandidates(word.slice(0, -2), 'verb', add);
+      }
+    }
+    
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      if (word.endsWith('ies') && word.length > 4) {
+        add(word.slice(0, -3) + 'y', null, true);
+      } else if (/(s|x|z|ch|sh)es$/.test(word)) {
+        add(word.slice(0, -2), null, true);
+      } else if (word.endsWith('ves')) {
+        add(word.slice(0, -3) + 'f', 'noun');
+        add(word.slice(0, -3) + 'fe', 'noun');
+      }
+      add(word.slice(0, -1), null, !/(ies|[sxz]es|[cs]hes)$/.test(word));
+    }
+    
+    // Comparatives are only trusted when the lemma is known ("teacher" is not "teach")
+    if (word.length > 4 && /(er|est)$/.test(word)) {
+      const stem = word.endsWith('est') ? word.slice(0, -3) : word.slice(0, -2);
+      if (stem.endsWith('i')) {
+        add(stem.slice(0, -1) + 'y', 'adjective');
+      }
+      if (this.hasDoubledEnding(stem)) {
+        add(stem.slice(0, -1), 'adjective');
+      }
+      add(stem, 'adjective');
+      add(stem + 'e', 'adjective');
+    }
+    
+    return candidates;
+  }
+  
+  /**
+   * Candidates for a stem left by stripping -ing or -ed
+   * "runn" -> run, "mak" -> make, "form" -> form
+   */
+  addStemCandidates(stem, pos, add) {
+    if (this.hasDoubledEnding(stem)) {
+      add(stem.slice(0, -1), pos, true);
+      add(stem, pos);
+      return;
+    }
+    
+    if (this.needsSilentE(stem)) {
+      add(stem + 'e', pos, true);
+      add(stem, pos);
+    } else {
+      add(stem, pos, true);
+      add(stem + 'e', pos);
+    }
+  }
+  
+  /**
+   * Stem ends in a doubled consonant that inflection added ("stopp", "runn")
+   */
+  hasDoubledEnding(stem) {
+    const last = stem[stem.length - 1];
+    return stem.length > 2 &&
+      last === stem[stem.length - 2] &&
+      !/[aeiou]/.test(last) &&
+      !KEEP_DOUBLE.has(last);
+  }
+  
+  /**
+   * Single short vowel between consonants usually drops a silent e ("mak", "scar", "hop")
+   */
+  needsSilentE(stem) {
+    return /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(stem);
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, test, expect } from '@jest/globals';
+import { Lemmatizer } from './Lemmatizer.js';
+
+describe('Lemmatizer', () => {
+  const lemmatizer = new Lemmatizer();
+
+  describe('irregular forms', () => {
+    test.each([
+      ['ran', 'run', 'verb'],
+      ['fled', 'flee', 'verb'],
+      ['was', 'be', 'verb'],
+      ['children', 'child', 'noun'],
+      ['better', 'good', 'adjective']
+    ])('%s -> %s', (word, lemma, pos) => {
+      expect(lemmatizer.analyze(word)).toEqual({ lemma, pos, rule: 'irregular' });
+    });
+
+    test('accepts extra irregular forms', () => {
+      const custom = new Lemmatizer({ irregular: { verb: { 'smote': 'smite' } } });
+      expect(custom.lemmatize('smote')).toBe('smite');
+    });
+  });
+
+  describe('suffix rules', () => {
+    test.each([
+      ['dogs', 'dog'],
+      ['boxes', 'box'],
+      ['stories', 'story'],
+      ['running', 'run'],
+      ['making', 'make'],
+      ['thinking', 'think'],
+      ['stopped', 'stop'],
+      ['scared', 'scare'],
+      ['formed', 'form'],
+      ['cried', 'cry'],
+      ['falling', 'fall'],
+      ['solves', 'solve']
+    ])('%s -> %s', (word, lemma) => {
+      expect(lemmatizer.lemmatize(word)).toBe(lemma);
+    });
+
+    test('prefers candidates known to the caller', () => {
+      const known = new Set(['hop']);
+      expect(lemmatizer.lemmatize('hoping')).toBe('hope');
+      expect(lemmatizer.lemmatize('hoping', lemma => known.has(lemma))).toBe('hop');
+    });
+
+    test('only reduces comparatives to known lemmas', () => {
+      const known = new Set(['happy', 'big']);
+      const isKnown = lemma => known.has(lemma);
+
+      expect(lemmatizer.lemmatize('happier', isKnown)).toBe('happy');
+      expect(lemmatizer.lemmatize('bigger', isKnown)).toBe('big');
+      expect(lemmatizer.lemmatize('teacher', isKnown)).toBe('teacher');
+    });
+  });
+
+  describe('words that only look inflected', () => {
+    test.each(['thing', 'bring', 'speed', 'always', 'news', 'glass', 'bus'])('%s is unchanged', (word) => {
+      expect(lemmatizer.analyze(word)).toEqual({ lemma: word, pos: null, rule: 'none' });
+    });
+  });
+  describe('homographs', () => {
+    test('keeps the regular reading of irregular nouns that are also verb forms', () => {
+      expect(lemmatizer.analyses('leaves')).toEqual([
+        { lemma: 'leaf', pos: 'noun', rule: 'irregular' },
+        { lemma: 'leave', pos: 'verb', rule: 'homograph' }
+      ]);
+      expect(lemmatizer.analyses('lives', lemma => lemma === 'live').map(a => a.lemma)).toEqual(['life', 'live']);
+      expect(lemmatizer.analyze('lives')).toEqual({ lemma: 'life', pos: 'noun', rule: 'irregular' });
+    });
+
+    test.each(['knives', 'wolves', 'children', 'ran'])('%s has a single reading', (word) => {
+      expect(lemmatizer.analyses(word)).toHaveLength(1);
+    });
+  });
+});
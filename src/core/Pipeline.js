@@ -0,0 +1,138 @@
+/**
+ * Pipeline - Ordered, named processing stages with before/after hooks
+ * HSTNNProcessor runs processText through one of these, so a step can be
+ * replaced, removed or surrounded with extra logic without subclassing
+ */
+
+export class Pipeline {
+  constructor(stages = []) {
+    this.order = [];               // Stage names in run order
+    this.stages = new Map();       // name -> (state, context) => void
+    this.hooks = new Map();        // name -> {before: [], after: []}
+
+    for (const stage of stages) {
+      this.registerStage(stage.name, stage.run);
+    }
+  }
+
+  /**
+   * Add or replace a named stage
+   * A new stage is appended unless `before` or `after` names an existing stage;
+   * replacing a stage keeps its place and hooks unless a position is given
+   */
+  registerStage(name, run, { before, after } = {}) {
+    if (typeof run !== 'function') {
+      throw new Error(`Pipeline stage "${name}" must be a function`);
+    }
+
+    const anchor = before ?? after;
+    if (anchor !== undefined && (!this.stages.has(anchor) || anchor === name)) {
+      throw new Error(`Unknown pipeline stage: ${anchor}`);
+    }
+
+    const exists = this.stages.has(name);
+    this.stages.set(name, run);
+    if (!this.hooks.has(name)) {
+      this.hooks.set(name, { before: [], after: [] });
+    }
+
+    if (anchor === undefined) {
+      if (!exists) this.order.push(name);
+      return this;
+    }
+
+    this.order = this.order.filter(stage => stage !== name);
+    const index = this.order.indexOf(anchor) + (after !== undefined ? 1 : 0);
+    this.order.splice(index, 0, name);
+    return this;
+  }
+
+  /**
+   * Remove a stage and its hooks
+   */
+  removeStage(name) {
+    this.order = this.order.filter(stage => stage !== name);
+    this.hooks.delete(name);
+    return this.stages.delete(name);
+  }
+
+  /**
+   * Run a hook before a stage: hook(state, context, stageName)
+   */
+  before(name, hook) {
+    return this.addHook(name, 'before', hook);
+  }
+
+  /**
+   * Run a hook after a stage: hook(state, context, stageName)
+   */
+  after(name, hook) {
+    return this.addHook(name, 'after', hook);
+  }
+
+  /**
+   * Attach a hook to one side of a stage
+   */
+  addHook(name, when, hook) {
+    if (!this.stages.has(name)) {
+      throw new Error(`Unknown pipeline stage: ${name}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error(`Pipeline hook for "${name}" must be a function`);
+    }
+
+    this.hooks.get(name)[when].push(hook);
+    return this;
+  }
+
+  /**
+   * Detach a hook from a stage, whichever side it is on
+   */
+  removeHook(name, hook) {
+    const hooks = this.hooks.get(name);
+    if (!hooks) return false;
+
+    let removed = false;
+    for (const when of ['before', 'after']) {
+      const index = hooks[when].indexOf(hook);
+      if (index !== -1) {
+        hooks[when].splice(index, 1);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Stage names in run order
+   */
+  getStages() {
+    return [...this.order];
+  }
+
+  /**
+   * Run every stage in order over a shared state object, which stages and hooks
+   * read and extend in place; stages named in `skip` (and their hooks) are left out
+   */
+  run(state, context = null, { skip = [] } = {}) {
+    for (const name of this.order) {
+      if (!skip.includes(name)) this.runStage(name, state, context);
+    }
+
+    return state;
+  }
+
+  /**
+   * Run one stage with its hooks over a state object
+   * A stage that has been removed is skipped, as it would be by run
+   */
+  runStage(name, state, context = null) {
+    if (!this.stages.has(name)) return state;
+
+    const hooks = this.hooks.get(name);
+    hooks.before.forEach(hook => hook(state, context, name));
+    this.stages.get(name)(state, context);
+    hooks.after.forEach(hook => hook(state, context, name));
+    return state;
+  }
+}
@@ -0,0 +1,189 @@
+import { describe, test, expect } from '@jest/globals';
+import { Pipeline } from './Pipeline.js';
+import { HSTNNProcessor, DEFAULT_STAGES } from './HSTNNProcessor.js';
+
+const recorder = names => {
+  const log = [];
+  const pipeline = new Pipeline(names.map(name => ({ name, run: state => state.log.push(name) })));
+  return { pipeline, log, state: { log } };
+};
+
+describe('Pipeline', () => {
+  test('runs stages in order over shared state', () => {
+    const { pipeline, state } = recorder(['a', 'b', 'c']);
+
+    expect(pipeline.run(state)).toBe(state);
+    expect(state.log).toEqual(['a', 'b', 'c']);
+    expect(pipeline.getStages()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('inserts, replaces and removes stages', () => {
+    const { pipeline, state } = recorder(['a', 'b', 'c']);
+
+    pipeline.registerStage('x', s => s.log.push('x'), { after: 'a' });
+    pipeline.registerStage('y', s => s.log.push('y'), { before: 'a' });
+    pipeline.registerStage('b', s => s.log.push('B'));
+    pipeline.registerStage('c', s => s.log.push('c'), { before: 'x' });
+    expect(pipeline.removeStage('y')).toBe(true);
+    expect(pipeline.removeStage('missing')).toBe(false);
+
+    expect(pipeline.getStages()).toEqual(['a', 'c', 'x', 'b']);
+    pipeline.run(state);
+    expect(state.log).toEqual(['a', 'c', 'x', 'B']);
+  });
+
+  test('runs before and after hooks around a stage', () => {
+    const { pipeline, state } = recorder(['a', 'b']);
+    const context = { id: 'processor' };
+    const seen = [];
+
+    pipeline.before('b', (s, ctx, stage) => s.log.push(`before ${stage}`));
+    pipeline.after('b', (s, ctx, stage) => seen.push([ctx, stage]));
+    pipeline.after('a', s => s.log.push('after a'));
+    pipeline.run(state, context);
+
+    expect(state.log).toEqual(['a', 'after a', 'before b', 'b']);
+    expect(seen).toEqual([[context, 'b']]);
+  });
+
+  test('keeps hooks when a stage is replaced and drops them when it is removed', () => {
+    const { pipeline, state } = recorder(['a']);
+    const hook = s => s.log.push('hook');
+
+    pipeline.after('a', hook);
+    pipeline.registerStage('a', s => s.log.push('A'));
+    pipeline.run(state);
+    expect(state.log).toEqual(['A', 'hook']);
+
+    expect(pipeline.removeHook('a', hook)).toBe(true);
+    expect(pipeline.removeHook('a', hook)).toBe(false);
+    pipeline.removeStage('a');
+    pipeline.registerStage('a', s => s.log.push('again'));
+    state.log.length = 0;
+    pipeline.run(state);
+    expect(state.log).toEqual(['again']);
+  });
+
+  test('skips named stages and their hooks', () => {
+    const { pipeline, state } = recorder(['a', 'b', 'c']);
+    pipeline.before('b', s => s.log.push('hook'));
+
+    pipeline.run(state, null, { skip: ['b'] });
+    expect(state.log).toEqual(['a', 'c']);
+  });
+
+  test('rejects unknown stages and non-function stages or hooks', () => {
+    const { pipeline } = recorder(['a']);
+
+    expect(() => pipeline.registerStage('x', null)).toThrow('Pipeline stage "x" must be a function');
+    expect(() => pipeline.registerStage('x', () => {}, { after: 'nope' })).toThrow('Unknown pipeline stage: nope');
+    expect(() => pipeline.before('nope', () => {})).toThrow('Unknown pipeline stage: nope');
+    expect(() => pipeline.after('a', 'hook')).toThrow('Pipeline hook for "a" must be a function');
+  });
+});
+
+describe('HSTNNProcessor pipeline', () => {
+  const text = 'The boy ran because he was scared';
+
+  test('exposes the processing steps as named stages', () => {
+    const processor = new HSTNNProcessor();
+    expect(processor.pipeline.getStages()).toEqual(DEFAULT_STAGES.map(stage => stage.name));
+    expect(processor.pipeline.getStages()).toEqual(
+      ['compress', 'scope', 'tokens', 'emotion', 'resonance', 'coreference', 'contagion', 'collapse', 'trace']);
+  });
+
+  test('default stages reproduce the unhooked result', () => {
+    const plain = new HSTNNProcessor({ seed: 6 }).processText(text);
+    const hooked = new HSTNNProcessor({ seed: 6 });
+    const seen = [];
+    hooked.pipeline.after('tokens', state => seen.push(state.hyperTokens.length));
+    const result = hooked.processText(text);
+
+    expect(seen).toEqual([plain.hyperTokens.length]);
+    expect(result.traces.map(t => t.coherence)).toEqual(plain.traces.map(t => t.coherence));
+  });
+
+  test('hooks see and can change intermediate state', () => {
+    const processor = new HSTNNProcessor({ seed: 6 });
+    processor.pipeline.before('collapse', state => {
+      state.hyperTokens.forEach(token => { token.dimensions.emotional = 0; });
+    });
+    processor.pipeline.after('collapse', state => {
+      expect(state.context.hasCausalMarkers).toBe(true);
+    });
+
+    const result = processor.processText(text);
+    result.hyperTokens.forEach(token => expect(token.dimensions.emotional).toBe(0));
+  });
+
+  test('custom stages can be inserted and built-in ones replaced', () => {
+    const processor = new HSTNNProcessor({ seed: 6 });
+    processor.pipeline.registerStage('states', state => {
+      state.states = state.hyperTokens.filter(token => token.universal === 'STATE').map(t => t.surface);
+    }, { after: 'tokens' });
+    processor.pipeline.registerStage('collapse', state => { state.collapsed = 'custom'; });
+
+    let finalState = null;
+    processor.pipeline.after('trace', state => { finalState = state; });
+    processor.processText(text);
+
+    expect(finalState.states).toEqual(['scared']);
+    expect(finalState.collapsed).toBe('custom');
+    expect(finalState.context).toBeUndefined();
+  });
+
+  test('a removed trace stage yields a result without traces', () => {
+    const processor = new HSTNNProcessor({ seed: 6 });
+    processor.pipeline.removeStage('trace');
+    const result = processor.processText(text);
+
+    expect(result.traces).toEqual([]);
+    expect(result.bestTrace).toBeNull();
+    expect(result.hyperTokens.length).toBeGreaterThan(0);
+  });
+
+  test('document mode runs every stage, collapse and trace per sentence', () => {
+    const processor = new HSTNNProcessor({ seed: 6, traceMode: 'beam' });
+    const stages = [];
+    ['compress', 'tokens', 'coreference', 'collapse', 'trace'].forEach(name =>
+      processor.pipeline.before(name, (state, p, stage) => stages.push(`${stage} ${state.text}`)));
+
+    processor.processDocument('The boy ran. He was scared.');
+    expect(stages).toEqual([
+      'compress The boy ran. He was scared.',
+      'tokens The boy ran. He was scared.',
+      'coreference The boy ran. He was scared.',
+      'collapse The boy ran.',
+      'trace The boy ran.',
+      'collapse He was scared.',
+      'trace He was scared.',
+      'trace The boy ran. He was scared.'
+    ]);
+  });
+
+  test('segmented modes use replaced collapse and trace stages', async () => {
+    const processor = new HSTNNProcessor({ seed: 6 });
+    processor.pipeline.registerStage('collapse', state => { state.hyperTokens.forEach(t => { t.marked = true; }); });
+    processor.pipeline.registerStage('trace', state => { state.traces = []; });
+
+    const document = processor.processDocument('The boy ran. He was scared.');
+    expect(document.traces).toEqual([]);
+    expect(document.hyperTokens.every(token => token.marked)).toBe(true);
+
+    for await (const window of processor.processStream('The boy ran. He was scared.')) {
+      expect(window.traces).toEqual([]);
+      expect(window.hyperTokens.every(token => token.marked)).toBe(true);
+    }
+  });
+
+  test('document and stream results carry the contagion report', async () => {
+    const processor = new HSTNNProcessor({ seed: 6, emotional: true, contagionIterations: 5 });
+    const text = 'The boy was scared. He was happy.';
+
+    expect(processor.processDocument(text).contagion.iterations).toBeGreaterThan(0);
+    for await (const window of processor.processStream(text)) {
+      expect(window.contagion.iterations).toBeGreaterThan(0);
+    }
+    expect(new HSTNNProcessor({ seed: 6 }).processDocument(text).contagion).toBeUndefined();
+  });
+});
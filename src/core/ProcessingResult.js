@@ -0,0 +1,182 @@
+/**
+ * ProcessingResult - Serializable result of HSTNNProcessor.processText,
+ * processDocument and processStream windows
+ * Hyperposition tokens point at each other through their connections, so the
+ * result is cyclic; toJSON writes a versioned schema where tokens are listed
+ * once by id and everything else refers to them, and fromJSON rebuilds the objects
+ */
+
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { EmotionalHyperpositionToken } from './EmotionalHyperposition.js';
+import { BiHamiltonianToken } from './BiHamiltonianStability.js';
+
+export const RESULT_SCHEMA = 'hstnn-result';
+export const RESULT_SCHEMA_VERSION = 1;
+
+/**
+ * Token classes by the `kind` their toJSON writes
+ */
+export const TOKEN_KINDS = {
+  HyperpositionToken: HyperpositionToken,
+  EmotionalHyperpositionToken: EmotionalHyperpositionToken,
+  BiHamiltonianToken: BiHamiltonianToken
+};
+
+export class ProcessingResult {
+  constructor(fields = {}) {
+    Object.assign(this, fields);
+  }
+
+  /**
+   * Versioned plain-data form
+   * - tokens: every token the result refers to, with connections as id references
+   * - hyperTokens, sentences[].tokens: token ids
+   * - traces[].path, traces[].hops: token ids
+   * - bestTrace, coherentTraces, crossTraces, sentences[].traces: indices into traces
+   * Other fields (compression, discourse, metrics, ...) are plain data and copied as is
+   */
+  toJSON() {
+    const { hyperTokens = [], traces = [], bestTrace, coherentTraces, crossTraces, sentences, ...rest } = this;
+    const ids = this.assignIds(this.collectTokens());
+    const tokenId = token => ids.get(token) ?? null;
+    const traceIndex = new Map(traces.map((trace, index) => [trace, index]));
+    const traceRef = trace => traceIndex.get(trace) ?? null;
+
+    return {
+      schema: RESULT_SCHEMA,
+      version: RESULT_SCHEMA_VERSION,
+      ...rest,
+      tokens: [...ids.keys()].map(token => token.toJSON(ids)),
+      hyperTokens: hyperTokens.map(tokenId),
+      traces: traces.map(trace => ({
+        ...trace,
+        path: trace.path.map(tokenId),
+        ...(trace.hops && {
+          hops: trace.hops.map(hop => ({
+            ...hop,
+            from: tokenId(hop.from),
+            to: tokenId(hop.to),
+            rejected: hop.rejected.map(other => ({ ...other, token: tokenId(other.token) }))
+          }))
+        })
+      })),
+      bestTrace: bestTrace ? traceRef(bestTrace) : null,
+      ...(coherentTraces && { coherentTraces: coherentTraces.map(traceRef) }),
+      ...(crossTraces && { crossTraces: crossTraces.map(traceRef) }),
+      ...(sentences && {
+        sentences: sentences.map(sentence => (sentence.tokens ? {
+          ...sentence,
+          tokens: sentence.tokens.map(tokenId),
+          traces: sentence.traces.map(traceRef),
+          bestTrace: sentence.bestTrace ? traceRef(sentence.bestTrace) : null
+        } : sentence))
+      })
+    };
+  }
+
+  /**
+   * Rebuild a result from toJSON output
+   * options are passed to each token (e.g. a random source for further processing)
+   */
+  static fromJSON(data, options = {}) {
+    if (!data || data.schema !== RESULT_SCHEMA) {
+      throw new Error(`Not a processing result: expected schema '${RESULT_SCHEMA}'`);
+    }
+    if (data.version !== RESULT_SCHEMA_VERSION) {
+      throw new Error(`Unsupported processing result version: ${data.version}`);
+    }
+
+    const { schema, version, tokens: tokenData, hyperTokens, traces: traceData,
+      bestTrace, coherentTraces, crossTraces, sentences, ...rest } = data;
+
+    // Create every token first, then reconnect them by id
+    const tokens = tokenData.map(entry => ProcessingResult.tokenClass(entry.kind).fromJSON(entry, options));
+    const byId = new Map(tokens.map(token => [token.id, token]));
+    tokens.forEach((token, i) => token.restoreConnections(tokenData[i].connections, byId));
+    const token = id => byId.get(id) ?? null;
+
+    const traces = traceData.map(trace => ({
+      ...trace,
+      path: trace.path.map(token),
+      ...(trace.hops && {
+        hops: trace.hops.map(hop => ({
+          ...hop,
+          from: token(hop.from),
+          to: token(hop.to),
+          rejected: hop.rejected.map(other => ({ ...other, token: token(other.token) }))
+        }))
+      })
+    }));
+    const trace = index => (index === null || index === undefined ? null : traces[index]);
+
+    return new ProcessingResult({
+      ...rest,
+      hyperTokens: hyperTokens.map(token),
+      traces: traces,
+      bestTrace: trace(bestTrace),
+      ...(coherentTraces && { coherentTraces: coherentTraces.map(trace) }),
+      ...(crossTraces && { crossTraces: crossTraces.map(trace) }),
+      ...(sentences && {
+        sentences: sentences.map(sentence => (Array.isArray(sentence.tokens) ? {
+          ...sentence,
+          tokens: sentence.tokens.map(token),
+          traces: sentence.traces.map(trace),
+          bestTrace: trace(sentence.bestTrace)
+        } : sentence))
+      })
+    });
+  }
+
+  /**
+   * Token class for a serialized kind
+   */
+  static tokenClass(kind = 'HyperpositionToken') {
+    const TokenClass = TOKEN_KINDS[kind];
+    if (!TokenClass) {
+      throw new Error(`Unknown token kind: ${kind}`);
+    }
+    return TokenClass;
+  }
+
+  /**
+   * Every token the result refers to, in first-seen order: its own tokens, then
+   * tokens only reached through traces (e.g. rolling context in a stream window)
+   */
+  collectTokens() {
+    const seen = new Set(this.hyperTokens || []);
+    const add = token => { if (token) seen.add(token); };
+
+    for (const sentence of this.sentences || []) {
+      (sentence.tokens || []).forEach(add);
+    }
+    for (const trace of this.traces || []) {
+      trace.path.forEach(add);
+      for (const hop of trace.hops || []) {
+        add(hop.from);
+        add(hop.to);
+        hop.rejected.forEach(other => add(other.token));
+      }
+    }
+
+    return [...seen];
+  }
+
+  /**
+   * Token -> id map, keeping each token's own id unless it is missing or taken
+   */
+  assignIds(tokens) {
+    const ids = new Map();
+    const used = new Set();
+
+    tokens.forEach((token, index) => {
+      let id = token.id;
+      if (id === null || id === undefined || used.has(id)) {
+        id = `token${index}`;
+      }
+      ids.set(token, id);
+      used.add(id);
+    });
+
+    return ids;
+  }
+}
@@ -0,0 +1,142 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { ProcessingResult, RESULT_SCHEMA_VERSION } from './ProcessingResult.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { BiHamiltonianToken } from './BiHamiltonianStability.js';
+
+const roundTrip = value => JSON.parse(JSON.stringify(value));
+
+describe('token serialization', () => {
+  test('HyperpositionToken round-trips with connections by id', () => {
+    const a = new HyperpositionToken('boy', 'ENTITY', { seed: 1, id: 'a', position: 0 });
+    const b = new HyperpositionToken('ran', 'ACTION', { seed: 2, id: 'b', position: 1 });
+    a.addConnection(b, 0.7);
+    a.modality.polarity = -1;
+
+    const data = roundTrip(a);
+    expect(data).toMatchObject({ kind: 'HyperpositionToken', id: 'a', surface: 'boy', position: 0 });
+    expect(data.connections).toEqual([{ to: 'b', strength: 0.7, type: 'resonance' }]);
+
+    const restored = HyperpositionToken.fromJSON(data);
+    restored.restoreConnections(data.connections, new Map([['b', b]]));
+    expect(restored).toBeInstanceOf(HyperpositionToken);
+    expect(restored.dimensions).toEqual(a.dimensions);
+    expect(restored.modality.polarity).toBe(-1);
+    expect(restored.connections[0]).toMatchObject({ token: b, strength: 0.7, type: 'resonance' });
+  });
+
+  test('BiHamiltonianToken keeps its emotional and Hamiltonian state', () => {
+    const token = new BiHamiltonianToken('grief', 'STATE', { seed: 3, id: 'g' });
+    token.addEmotionalComponent('sadness', 0.8, 0);
+    token.addEmotionalComponent('love', 0.5, Math.PI / 2);
+    token.derivatives.jerk = 0.25;
+    token.updateHamiltonians();
+
+    const data = roundTrip(token);
+    const restored = BiHamiltonianToken.fromJSON(data);
+
+    expect(data.kind).toBe('BiHamiltonianToken');
+    expect(restored).toBeInstanceOf(BiHamiltonianToken);
+    expect([...restored.emotionalState.components.keys()]).toEqual(['sadness', 'love']);
+    expect(restored.emotionalState.coherence).toBe(token.emotionalState.coherence);
+    expect(restored.H1_coherence).toBe(token.H1_coherence);
+    expect(restored.H2_structure).toBe(token.H2_structure);
+    expect(restored.derivatives).toEqual(token.derivatives);
+    expect(roundTrip(restored)).toEqual(data);
+  });
+});
+
+describe('ProcessingResult', () => {
+  const processor = () => new HSTNNProcessor({ seed: 9, explain: true });
+
+  test('processText results survive JSON.stringify', () => {
+    const result = processor().processText('The boy ran because he was scared');
+    const data = roundTrip(result);
+
+    expect(data.schema).toBe('hstnn-result');
+    expect(data.version).toBe(RESULT_SCHEMA_VERSION);
+    expect(data.hyperTokens).toEqual(result.hyperTokens.map(token => token.id));
+    expect(data.traces[data.bestTrace].path).toEqual(result.bestTrace.path.map(token => token.id));
+    const ids = new Set(data.tokens.map(token => token.id));
+    data.tokens.forEach(token => token.connections.forEach(c => expect(ids.has(c.to)).toBe(true)));
+  });
+
+  test('fromJSON rebuilds tokens, connections and traces', () => {
+    const result = processor().processText('The boy ran because he was scared');
+    const restored = ProcessingResult.fromJSON(roundTrip(result));
+
+    expect(restored).toBeInstanceOf(ProcessingResult);
+    expect(restored.hyperTokens.map(t => t.surface)).toEqual(result.hyperTokens.map(t => t.surface));
+    expect(restored.bestTrace.path.every(token => restored.hyperTokens.includes(token))).toBe(true);
+    expect(restored.bestTrace.hops[0].from).toBe(restored.bestTrace.path[0]);
+    expect(restored.coherentTraces.every(trace => restored.traces.includes(trace))).toBe(true);
+
+    const he = restored.hyperTokens.find(t => t.surface === 'he');
+    expect(he.connections.find(c => c.type === 'coreference').token.surface).toBe('boy');
+    expect(roundTrip(restored)).toEqual(roundTrip(result));
+  });
+
+  test('identical seeded runs serialize identically', () => {
+    const text = 'Rain causes floods';
+    const first = roundTrip(new HSTNNProcessor({ seed: 4 }).processText(text));
+    const second = roundTrip(new HSTNNProcessor({ seed: 4 }).processText(text));
+
+    first.metrics.processingTime = second.metrics.processingTime = 0;
+    expect(first).toEqual(second);
+  });
+
+  test('identical seeded emotional runs serialize identically at different times', () => {
+    const text = 'The boy was not happy because the angry dog chased him';
+    const run = now => {
+      jest.setSystemTime(now);
+      const result = new HSTNNProcessor({ seed: 4, emotional: true, contagionIterations: 5 }).processText(text);
+      result.hyperTokens.forEach(token => token.collapseEmotional('observation', { strategy: 'born' }));
+      result.hyperTokens[0].decohere();
+      return roundTrip(result);
+    };
+
+    jest.useFakeTimers();
+    try {
+      const first = run(1000);
+      const second = run(987654321);
+      first.metrics.processingTime = second.metrics.processingTime = 0;
+      expect(first.tokens.some(token => token.collapseLog.length > 0)).toBe(true);
+      expect(first).toEqual(second);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('document results keep sentence groups and cross-sentence traces', () => {
+    const result = new HSTNNProcessor({ seed: 9, traceMode: 'beam' })
+      .processDocument('The boy ran. He was scared.');
+    const restored = ProcessingResult.fromJSON(roundTrip(result));
+
+    expect(restored.sentences.map(s => s.tokens.map(t => t.surface)))
+      .toEqual(result.sentences.map(s => s.tokens.map(t => t.surface)));
+    expect(restored.sentences[0].tokens[0]).toBe(restored.hyperTokens[0]);
+    expect(restored.crossTraces.every(trace => restored.traces.includes(trace))).toBe(true);
+    expect(restored.discourse).toEqual(roundTrip(result.discourse));
+  });
+
+  test('stream windows include context tokens their traces reach', async () => {
+    const windows = [];
+    for await (const window of new HSTNNProcessor({ seed: 9 }).processStream('The boy ran. He was scared.')) {
+      windows.push(window);
+    }
+    const data = roundTrip(windows[1]);
+    const restored = ProcessingResult.fromJSON(data);
+
+    expect(data.tokens.length).toBeGreaterThanOrEqual(data.hyperTokens.length);
+    restored.traces.forEach(trace => expect(trace.path.every(Boolean)).toBe(true));
+  });
+
+  test('rejects other schemas, versions and token kinds', () => {
+    const data = roundTrip(processor().processText('Rain causes floods'));
+
+    expect(() => ProcessingResult.fromJSON({ ...data, schema: 'other' })).toThrow('Not a processing result');
+    expect(() => ProcessingResult.fromJSON({ ...data, version: 99 })).toThrow('Unsupported processing result version: 99');
+    data.tokens[0].kind = 'Mystery';
+    expect(() => ProcessingResult.fromJSON(data)).toThrow('Unknown token kind: Mystery');
+  });
+});
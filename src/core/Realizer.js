@@ -0,0 +1,288 @@
+/**
+ * Realizer - Renders universal token sequences back into readable sentences
+ * The inverse of UniversalTokenLibrary.compress: walks the arrangement graph and
+ * fills a small template grammar per arrangement type, no language model needed
+ */
+
+import { COPULA_TRANSFORMS } from './ArrangementParser.js';
+
+/**
+ * Template grammar: {head}/{dependent} for graph edges, {cause}/{effect}/{marker} for causes
+ */
+export const REALIZATION_TEMPLATES = {
+  SUBJECT: '{dependent} {head}',              // the boy ran
+  OBJECT: '{head} {dependent}',               // chased the cat
+  COMPLEMENT: '{head} {dependent}',           // was scared
+  ATTRIBUTE: '{head} is {dependent}',         // the dog is happy
+  MODIFIER: '{dependent} {head}',             // not scared, happy dog
+  MODIFIER_AFTER: '{head} {dependent}',       // ran quickly, ran away
+  DETERMINER: '{dependent} {head}',           // their house, the grandmother's house
+  POSSESSIVE: '{head}{dependent}',            // grandmother's
+  CAUSE_EFFECT: '{effect} because {cause}',   // no causal word in the sequence
+  CAUSE_MARKER: '{effect} {marker} {cause}',  // failed because of noise
+  CAUSE_FORWARD: '{cause} {marker} {effect}', // rain causes floods, it rained therefore ...
+  SEQUENCE: '{first}, {second}'               // unlinked clauses in trace order
+};
+
+// Modifiers that follow their head
+const POSTPOSED_TRANSFORMS = new Set(['MANNER', 'DIRECTION']);
+
+// Pronouns that stand in for a determiner before a noun ("their house")
+const DETERMINER_PRONOUNS = new Set(['my', 'our', 'your', 'his', 'her', 'its', 'their']);
+
+// Order dependents are wrapped around a head, innermost first
+const DEPENDENT_ORDER = ['POSSESSIVE', 'DETERMINER', 'MODIFIER', 'COMPLEMENT', 'OBJECT', 'MODIFIER_AFTER', 'SUBJECT', 'ATTRIBUTE'];
+
+export class Realizer {
+  constructor(options = {}) {
+    this.templates = { ...REALIZATION_TEMPLATES, ...options.templates };
+    this.determiner = options.determiner ?? 'the';
+  }
+  
+  /**
+   * Realize tokens ({surface, universal, transform, position}) as a sentence
+   * arrangements are ArrangementParser edges; tokens keep their order as the
+   * order of clauses, so a trace path reads in the order it was traversed
+   */
+  realize(tokens, arrangements = []) {
+    if (tokens.length === 0) return '';
+    
+    const nodes = new Map(tokens.map((token, index) => [token.position ?? index, { token, index }]));
+    const { dependents, heads, causes, consumed } = this.buildTree(nodes, arrangements);
+    const used = new Set();
+    
+    // Clause roots: tokens that are nobody's dependent
+    const roots = tokens
+      .map((token, index) => token.position ?? index)
+      .filter(position => !heads.has(position) && !consumed.has(position));
+    
+    const clauses = new Map();
+    for (const root of roots) {
+      const text = this.realizeNode(root, nodes, dependents, used);
+      if (text) clauses.set(root, text);
+    }
+    
+    // Fold cause clauses into their effects, then join the rest in order
+    for (const edge of causes) {
+      const cause = this.rootOf(edge.from, heads);
+      const effect = this.rootOf(edge.to, heads);
+      if (cause === effect || !clauses.has(cause) || !clauses.has(effect)) continue;
+      
+      clauses.set(effect, this.causeClause(edge, clauses.get(cause), clauses.get(effect), nodes));
+      clauses.delete(cause);
+    }
+    
+    const sentence = [...clauses.values()].reduce((first, second) =>
+      this.fill('SEQUENCE', { first, second }));
+    
+    return this.capitalize(sentence) + '.';
+  }
+  
+  /**
+   * Index dependency edges among the given tokens
+   * Attributes of a copula's subject become the copula's complement ("the boy was scared").
+   * Possessors and possessive pronouns become determiners of the noun they precede,
+   * and edges the parser pointed at them move to that noun
+   */
+  buildTree(nodes, arrangements) {
+    const dependents = new Map();   // head position -> [{type, position}]
+    const heads = new Map();        // dependent position -> head position
+    const causes = [];
+    const consumed = new Set();     // causal words rendered by a cause template
+    
+    const attach = (head, position, type) => {
+      if (heads.has(position) || head === position) return;
+      heads.set(position, head);
+      if (!dependents.has(head)) dependents.set(head, []);
+      dependents.get(head).push({ type, position });
+    };
+    
+    const determines = this.attachDeterminers(nodes, attach);
+    const phraseHead = position => {
+      let current = position;
+      while (determines.has(current)) current = determines.get(current);
+      return current;
+    };
+    
+    const edges = arrangements
+      .filter(edge => nodes.has(edge.from) && nodes.has(edge.to))
+      .map(edge => edge.type === 'CAUSE_EFFECT' || edge.type === 'COREFERENCE'
+        ? edge
+        : { ...edge, from: phraseHead(edge.from), to: phraseHead(edge.to) });
+    const copulaOf = new Map(edges
+      .filter(edge => edge.type === 'SUBJECT' && COPULA_TRANSFORMS.has(nodes.get(edge.from).token.transform))
+      .map(edge => [edge.to, edge.from]));
+    
+    for (const edge of edges) {
+      switch (edge.type) {
+        case 'SUBJECT':
+        case 'OBJECT':
+          attach(edge.from, edge.to, edge.type);
+          break;
+        case 'ATTRIBUTE':
+          if (copulaOf.has(edge.from)) {
+            attach(copulaOf.get(edge.from), edge.to, 'COMPLEMENT');
+          } else {
+            attach(edge.from, edge.to, 'ATTRIBUTE');
+          }
+          break;
+        case 'MODIFIER': {
+          const modifier = nodes.get(edge.to).token;
+          attach(edge.from, edge.to, POSTPOSED_TRANSFORMS.has(modifier.transform) ? 'MODIFIER_AFTER' : 'MODIFIER');
+          break;
+        }
+        case 'CAUSE_EFFECT':
+          causes.push(edge);
+          if (edge.via !== undefined && nodes.has(edge.via)) consumed.add(edge.via);
+          break;
+        default:
+          // COREFERENCE and unknown edges do not change word order
+          break;
+      }
+    }
+    
+    return { dependents, heads, causes, consumed };
+  }
+  
+  /**
+   * Attach possessive pronouns ("their") and possessors ("grandmother" + "'s") to the
+   * noun that follows them in the clause, past any adjectives; a possessive "'s"
+   * attaches to its owner. Returns determiner position -> noun position
+   */
+  attachDeterminers(nodes, attach) {
+    const ordered = [...nodes.entries()]
+      .sort((a, b) => a[1].index - b[1].index)
+      .map(([position, { token }]) => ({ position, token }));
+    const determines = new Map();
+    
+    const nounAfter = i => {
+      for (let j = i + 1; j < ordered.length && ordered[j].token.clause === ordered[i].token.clause; j++) {
+        const { token, position } = ordered[j];
+        if (token.universal === 'ENTITY' && token.transform !== 'PRONOUN') return position;
+        if (token.universal !== 'STATE') return null;
+      }
+      return null;
+    };
+    
+    ordered.forEach(({ position, token }, i) => {
+      if (token.universal === 'ENTITY' && token.transform === 'PRONOUN' &&
+          DETERMINER_PRONOUNS.has(String(token.surface).toLowerCase())) {
+        const noun = nounAfter(i);
+        if (noun !== null) {
+          attach(noun, position, 'DETERMINER');
+          determines.set(position, noun);
+        }
+      }
+      
+      const owner = ordered[i - 1];
+      if (token.universal === 'RELATION' && token.transform === 'POSSESS' && /^['’]/.test(token.surface) &&
+          owner && owner.token.universal === 'ENTITY' && owner.token.clause === token.clause) {
+        attach(owner.position, position, 'POSSESSIVE');
+        const noun = nounAfter(i);
+        if (noun !== null) {
+          attach(noun, owner.position, 'DETERMINER');
+          determines.set(owner.position, noun);
+        }
+      }
+    });
+    
+    return determines;
+  }
+  
+  /**
+   * Realize a head and its dependents, each dependent at most once
+   */
+  realizeNode(position, nodes, dependents, used) {
+    if (used.has(position)) return '';
+    used.add(position);
+    
+    const token = nodes.get(position).token;
+    // Adjectives sit closest to their noun, then the determiner, then other modifiers:
+    // "maybe the happy dog", "maybe their happy dog"
+    const isAdjective = dependent => dependent.type === 'MODIFIER' &&
+      nodes.get(dependent.position).token.universal === 'STATE';
+    const rank = dependent => isAdjective(dependent) ? -1 : DEPENDENT_ORDER.indexOf(dependent.type);
+    const attached = [...(dependents.get(position) || [])]
+      .sort((a, b) => rank(a) - rank(b) || a.position - b.position);
+    
+    let text = token.surface;
+    let determined = false;
+    
+    for (const dependent of attached) {
+      if (!determined && !isAdjective(dependent)) {
+        text = this.determine(token, text, attached, nodes);
+        determined = true;
+      }
+      
+      const child = this.realizeNode(dependent.position, nodes, dependents, used);
+      if (child) text = this.fill(dependent.type, { head: text, dependent: child });
+    }
+    
+    return determined ? text : this.determine(token, text, attached, nodes);
+  }
+  
+  /**
+   * Combine a cause clause with its effect, using the causal word when there is one
+   * A word before the cause introduces it ("because", "due to"); otherwise it reads forward
+   */
+  causeClause(edge, cause, effect, nodes) {
+    if (edge.via === undefined || !nodes.has(edge.via)) {
+      return this.fill('CAUSE_EFFECT', { cause, effect });
+    }
+    
+    const marker = nodes.get(edge.via).token.surface;
+    return edge.via < edge.from
+      ? this.fill('CAUSE_MARKER', { cause, effect, marker })
+      : this.fill('CAUSE_FORWARD', { cause, effect, marker });
+  }
+  
+  /**
+   * Follow head links up to the clause root
+   */
+  rootOf(position, heads) {
+    let current = position;
+    const seen = new Set();
+    while (heads.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = heads.get(current);
+    }
+    return current;
+  }
+  
+  /**
+   * Prefix common nouns with the determiner
+   * Pronouns, possessed nouns ("their house") and nouns already quantified or
+   * negated ("no dog", "many dogs") go without
+   */
+  determine(token, text, attached, nodes) {
+    if (token.universal !== 'ENTITY' || token.transform === 'PRONOUN' || !this.determiner) {
+      return text;
+    }
+    
+    const quantified = attached.some(dependent => {
+      const modifier = nodes.get(dependent.position).token;
+      return dependent.type === 'DETERMINER' ||
+        (dependent.type === 'MODIFIER' && ['NEGATION', 'QUANTITY'].includes(modifier.transform));
+    });
+    
+    return quantified ? text : `${this.determiner} ${text}`;
+  }
+  
+  /**
+   * Fill a named template
+   */
+  fill(name, slots) {
+    const template = this.templates[name];
+    if (template === undefined) {
+      throw new Error(`Unknown realization template: ${name}`);
+    }
+    return template.replace(/\{(\w+)\}/g, (_, slot) => slots[slot] ?? '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Uppercase the first letter of a sentence
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
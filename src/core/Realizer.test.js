@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { Realizer } from './Realizer.js';
+import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('Realizer', () => {
+  let library;
+
+  beforeEach(() => {
+    library = new UniversalTokenLibrary();
+  });
+
+  const roundTrip = text => library.decompress(library.compress(text));
+
+  describe('decompress', () => {
+    test.each([
+      ['The dog chased the cat', 'The dog chased the cat.'],
+      ['The boy was not scared', 'The boy was not scared.'],
+      ['happy dogs ran quickly', 'The happy dogs ran quickly.'],
+      ['No dog ran', 'No dog ran.'],
+      ['maybe the dog ran away', 'Maybe the dog ran away.'],
+      ['maybe the happy dog ran away', 'Maybe the happy dog ran away.'],
+      ['He never felt happy', 'He never felt happy.']
+    ])('realizes "%s"', (text, expected) => {
+      expect(roundTrip(text)).toBe(expected);
+    });
+
+    test('attaches possessives and possessive pronouns to their noun', () => {
+      expect(roundTrip("The children ran to their grandmother's house")).toBe("The children ran their grandmother's house.");
+      expect(roundTrip('My dog chased his cat')).toBe('My dog chased his cat.');
+      expect(roundTrip("The boy's happy dog ran")).toBe("The boy's happy dog ran.");
+      expect(roundTrip('maybe their dog ran')).toBe('Maybe their dog ran.');
+      expect(roundTrip('She saw her')).toBe('She saw her.');
+    });
+
+    test('renders causes with their connective', () => {
+      expect(roundTrip('The boy ran because he was scared')).toBe('The boy ran because he was scared.');
+      expect(roundTrip('The network failed because of noise')).toBe('The network failed because of the noise.');
+      expect(roundTrip('Because it rained, the game stopped')).toBe('The game stopped because it rained.');
+      expect(roundTrip('Rain causes floods')).toBe('The rain causes the floods.');
+    });
+
+    test('joins unrelated clauses in order', () => {
+      expect(roundTrip('The dog barked; the cat slept')).toBe('The dog barked, the cat slept.');
+    });
+
+    test('realizes bare universal sequences with representative words', () => {
+      expect(library.decompress(['ENTITY.HUMAN', 'ACTION.MOVE'])).toBe('The person run.');
+      expect(library.decompress([{ universal: 'STATE', transform: 'EMOTION' }])).toBe('Happy.');
+      expect(library.lexemeFor('ENTITY', 'NOPE')).toBe('nope');
+    });
+
+    test('uses supplied arrangements over re-parsing', () => {
+      const { tokens } = library.compress('dog cat');
+      expect(library.decompress(tokens, [])).toBe('The dog, the cat.');
+      expect(library.decompress(tokens, [{ from: 0, to: 1, type: 'OBJECT' }])).toBe('The dog the cat.');
+    });
+
+    test('returns an empty string for empty input', () => {
+      expect(library.decompress([])).toBe('');
+    });
+  });
+
+  describe('templates', () => {
+    test('can be overridden', () => {
+      const realizer = new Realizer({ templates: { CAUSE_EFFECT: '{cause}, so {effect}' }, determiner: 'a' });
+      const tokens = [
+        { surface: 'storm', universal: 'ENTITY', transform: 'UNKNOWN', position: 0 },
+        { surface: 'fell', universal: 'ACTION', transform: 'MOVE', position: 1 },
+        { surface: 'tree', universal: 'ENTITY', transform: 'OBJECT', position: 2 }
+      ];
+
+      expect(realizer.realize(tokens, [
+        { from: 0, to: 1, type: 'CAUSE_EFFECT' },
+        { from: 1, to: 2, type: 'SUBJECT' }
+      ])).toBe('A storm, so a tree fell.');
+    });
+
+    test('rejects unknown templates', () => {
+      expect(() => new Realizer().fill('NOPE', {})).toThrow('Unknown realization template');
+    });
+  });
+
+  describe('skip traces', () => {
+    test('renders traces in natural language', () => {
+      const processor = new HSTNNProcessor({ seed: 4 });
+      const result = processor.processText('The boy ran because he was scared');
+
+      for (const trace of result.traces) {
+        expect(processor.realizeTrace(trace, result.compression)).toBe('The boy ran because he was scared.');
+      }
+      expect(processor.visualize(result)).toContain('Reads: "The boy ran because he was scared."');
+    });
+
+    test('renders partial traces from the tokens they visit', () => {
+      const processor = new HSTNNProcessor({ seed: 4 });
+      const result = processor.processText('The happy dog chased the cat');
+      const path = result.hyperTokens.filter(t => ['dog', 'chased'].includes(t.surface));
+
+      expect(processor.realizeTrace({ path }, result.compression)).toBe('The dog chased.');
+    });
+  });
+});
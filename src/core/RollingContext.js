@@ -0,0 +1,96 @@
+/**
+ * RollingContext - Bounded memory of recent hyperposition tokens for streaming input
+ * Keeps the last few windows of tokens, their compressed records and arrangement edges
+ * so skip traces over a new window can reach back into earlier ones
+ */
+
+export class RollingContext {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens ?? 64;   // Memory cap: tokens kept across windows
+    this.tokens = [];         // HyperpositionTokens, oldest first
+    this.records = [];        // Matching compressed token records, for coreference
+    this.arrangements = [];   // Arrangement edges among retained tokens, by position
+    this.nextPosition = 0;    // First free document position
+    this.nextSentence = 0;    // Index of the next sentence to arrive
+  }
+  
+  /**
+   * Move a window's compression into document coordinates
+   * Positions continue from the previous window so distance decay and the
+   * arrangement graph stay meaningful across windows
+   */
+  place(compression, sentenceOf = () => 0) {
+    const base = this.nextPosition;
+    const shift = position => position + base;
+    
+    for (const token of compression.tokens) {
+      token.position += base;
+      token.sentence = this.nextSentence + sentenceOf(token);
+    }
+    compression.arrangements = (compression.arrangements || []).map(edge => ({
+      ...edge,
+      from: shift(edge.from),
+      to: shift(edge.to),
+      ...(edge.via !== undefined && { via: shift(edge.via) })
+    }));
+    
+    const last = Math.max(base - 1, ...compression.tokens.map(token => token.position));
+    this.nextPosition = last + 1;
+    return compression;
+  }
+  
+  /**
+   * Pronouns in a window that refer back to an entity still in context
+   * Only pronouns the window could not resolve on its own are linked
+   * Returns COREFERENCE arrangement edges
+   */
+  resolveReferences(compression, resolver, weight = 0.9) {
+    const resolved = new Set((compression.arrangements || [])
+      .filter(edge => edge.type === 'COREFERENCE')
+      .map(edge => edge.from));
+    const records = [...this.records, ...compression.tokens];
+    const boundary = this.records.length;
+    
+    return resolver.resolve(records)
+      .filter(link => link.pronoun >= boundary && link.antecedent < boundary)
+      .filter(link => !resolved.has(records[link.pronoun].position))
+      .map(link => ({
+        from: records[link.pronoun].position,
+        to: records[link.antecedent].position,
+        type: 'COREFERENCE',
+        weight: weight
+      }));
+  }
+  
+  /**
+   * Add a processed window, then evict the oldest tokens beyond the cap
+   * Returns the evicted tokens
+   */
+  push(hyperTokens, records, arrangements = []) {
+    this.tokens.push(...hyperTokens);
+    this.records.push(...records);
+    this.arrangements.push(...arrangements);
+    
+    const overflow = this.tokens.length - this.maxTokens;
+    if (overflow <= 0) return [];
+    
+    const evicted = this.tokens.splice(0, overflow);
+    this.records.splice(0, overflow);
+    this.forget(evicted);
+    return evicted;
+  }
+  
+  /**
+   * Drop connections and edges that point at evicted tokens so they can be collected
+   */
+  forget(evicted) {
+    const gone = new Set(evicted);
+    const positions = new Set(evicted.map(token => token.position));
+    
+    for (const token of this.tokens) {
+      token.connections = token.connections.filter(connection => !gone.has(connection.token));
+    }
+    this.arrangements = this.arrangements.filter(edge =>
+      !positions.has(edge.from) && !positions.has(edge.to));
+  }
+}
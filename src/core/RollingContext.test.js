@@ -0,0 +1,128 @@
+import { describe, test, expect } from '@jest/globals';
+import { Readable } from 'node:stream';
+import { RollingContext } from './RollingContext.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { CoreferenceResolver } from './CoreferenceResolver.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+const record = (surface, universal, transform, position, lemma = surface) =>
+  ({ surface, lemma, universal, transform, position });
+
+async function collect(iterable) {
+  const results = [];
+  for await (const item of iterable) results.push(item);
+  return results;
+}
+
+describe('RollingContext', () => {
+  test('places windows at consecutive document positions', () => {
+    const context = new RollingContext();
+    const first = context.place({
+      tokens: [record('boy', 'ENTITY', 'HUMAN', 1), record('ran', 'ACTION', 'MOTION', 2)],
+      arrangements: [{ from: 2, to: 1, type: 'SUBJECT', weight: 1 }]
+    });
+    context.nextSentence = 1;
+    const second = context.place({
+      tokens: [record('he', 'ENTITY', 'PRONOUN', 0), record('fell', 'ACTION', 'MOTION', 1)],
+      arrangements: [{ from: 1, to: 0, type: 'SUBJECT', weight: 1 }]
+    });
+
+    expect(first.tokens.map(t => t.position)).toEqual([1, 2]);
+    expect(second.tokens.map(t => [t.position, t.sentence])).toEqual([[3, 1], [4, 1]]);
+    expect(second.arrangements).toEqual([{ from: 4, to: 3, type: 'SUBJECT', weight: 1 }]);
+    expect(context.nextPosition).toBe(5);
+  });
+
+  test('resolves unresolved pronouns against tokens still in context', () => {
+    const context = new RollingContext();
+    const boy = record('boy', 'ENTITY', 'HUMAN', 0);
+    context.push([new HyperpositionToken('boy', 'ENTITY', { position: 0 })], [boy]);
+
+    const window = { tokens: [record('he', 'ENTITY', 'PRONOUN', 1), record('fell', 'ACTION', 'MOTION', 2)], arrangements: [] };
+    const links = context.resolveReferences(window, new CoreferenceResolver(), 0.9);
+
+    expect(links).toEqual([{ from: 1, to: 0, type: 'COREFERENCE', weight: 0.9 }]);
+  });
+
+  test('evicts the oldest tokens past the cap and forgets links to them', () => {
+    const context = new RollingContext({ maxTokens: 2 });
+    const tokens = ['a', 'b', 'c'].map((surface, position) =>
+      new HyperpositionToken(surface, 'ENTITY', { seed: position, position }));
+    tokens[2].addConnection(tokens[0], 0.8);
+    tokens[2].addConnection(tokens[1], 0.8);
+
+    const evicted = context.push(tokens, tokens.map((t, i) => record(t.surface, 'ENTITY', 'UNKNOWN', i)), [
+      { from: 2, to: 0, type: 'MODIFIER', weight: 0.8 },
+      { from: 2, to: 1, type: 'MODIFIER', weight: 0.8 }
+    ]);
+
+    expect(evicted).toEqual([tokens[0]]);
+    expect(context.tokens).toEqual([tokens[1], tokens[2]]);
+    expect(context.records.map(r => r.surface)).toEqual(['b', 'c']);
+    expect(tokens[2].connections.map(c => c.token)).toEqual([tokens[1]]);
+    expect(context.arrangements).toEqual([{ from: 2, to: 1, type: 'MODIFIER', weight: 0.8 }]);
+  });
+});
+
+describe('HSTNNProcessor.processStream', () => {
+  const text = 'The boy ran because he was scared. He never felt happy. The dog barked.';
+
+  test('yields one window per sentence with offsets into the stream', async () => {
+    const windows = await collect(new HSTNNProcessor({ seed: 5 }).processStream(text));
+
+    expect(windows.map(w => w.text)).toEqual([
+      'The boy ran because he was scared.',
+      'He never felt happy.',
+      'The dog barked.'
+    ]);
+    windows.forEach((w, i) => {
+      expect(w.index).toBe(i);
+      expect(text.slice(w.start, w.end)).toBe(w.text);
+      expect(w.sentences.map(s => s.index)).toEqual([i]);
+    });
+  });
+
+  test('reassembles sentences split across Buffer chunks', async () => {
+    const bytes = Buffer.from('The café closed. It rained…');
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 5) chunks.push(bytes.subarray(i, i + 5));
+
+    const windows = await collect(new HSTNNProcessor({ seed: 5 }).processStream(Readable.from(chunks)));
+
+    expect(windows.map(w => w.text)).toEqual(['The café closed.', 'It rained…']);
+  });
+
+  test('groups sentences into windows of windowSize', async () => {
+    const windows = await collect(new HSTNNProcessor({ seed: 5 }).processStream(text, { windowSize: 2 }));
+
+    expect(windows.map(w => w.sentences.map(s => s.index))).toEqual([[0, 1], [2]]);
+    expect(windows[0].hyperTokens.map(t => t.sentence)).toEqual([0, 0, 0, 0, 0, 0, 1, 1, 1, 1]);
+  });
+
+  test('lets traces reach back into earlier windows', async () => {
+    const windows = await collect(new HSTNNProcessor({ seed: 5 }).processStream(text));
+    const second = windows[1];
+
+    expect(second.contextSize).toBe(windows[0].hyperTokens.length);
+    expect(second.links).toEqual([expect.objectContaining({ type: 'COREFERENCE', to: 1 })]);
+    expect(second.traces.some(trace => trace.sentences.includes(0))).toBe(true);
+    second.traces.forEach(trace => {
+      expect(trace.path.some(token => second.hyperTokens.includes(token))).toBe(true);
+    });
+  });
+
+  test('keeps the rolling context within contextTokens', async () => {
+    const processor = new HSTNNProcessor({ seed: 5 });
+    const windows = await collect(processor.processStream(text, { contextTokens: 3 }));
+
+    windows.forEach(w => expect(w.contextSize).toBeLessThanOrEqual(3));
+  });
+
+  test('cuts long unpunctuated input at a space', async () => {
+    const words = 'the dog ran home '.repeat(5);
+    const windows = await collect(new HSTNNProcessor({ seed: 5 }).processStream([words, words], { maxBufferLength: 40 }));
+
+    expect(windows.length).toBeGreaterThan(1);
+    windows.forEach(w => expect(w.text.length).toBeLessThanOrEqual(40));
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * ScopeResolver - Attaches negation, intensity and possibility modifiers to the tokens they govern
+ * Runs after UniversalTokenLibrary.compress so "the boy was not scared" yields a negated "scared"
+ */
+
+/**
+ * Modifier transforms that take scope
+ * - narrow: governs the next content word in its clause ("not scared", "very happy")
+ * - broad:  governs the rest of its clause ("maybe the dog ran away")
+ */
+export const SCOPE_TYPES = {
+  NEGATION: 'narrow',
+  INTENSITY: 'narrow',
+  POSSIBILITY: 'broad'
+};
+
+/**
+ * Strength of individual modifiers: intensity multiplies, possibility is a certainty in [0, 1]
+ */
+export const MODIFIER_STRENGTHS = {
+  INTENSITY: {
+    'very': 1.5, 'extremely': 2.0, 'totally': 1.8, 'slightly': 0.5, 'somewhat': 0.75,
+    default: 1.5
+  },
+  POSSIBILITY: {
+    'maybe': 0.5, 'possibly': 0.5, 'might': 0.5, 'probably': 0.75, 'certainly': 1.0,
+    default: 0.6
+  },
+  NEGATION: {
+    default: 1.0
+  }
+};
+
+/**
+ * How a negated token's dimensions are damped: its content is present but not asserted
+ */
+export const NEGATION_FACTORS = {
+  emotional: 0.5,
+  semantic: 0.7,
+  probability: 0.7
+};
+
+export class ScopeResolver {
+  constructor(options = {}) {
+    this.maxScope = options.maxScope ?? 3;   // Tokens a narrow modifier may reach across
+    this.strengths = { ...MODIFIER_STRENGTHS, ...options.strengths };
+  }
+  
+  /**
+   * Find the scope of every modifier in a compression result
+   * Returns [{type, operator, targets, strength}] with indices into compression.tokens,
+   * and records the governing modifiers on each target token as token.scope
+   */
+  resolve(compression) {
+    const tokens = compression.tokens;
+    const scopes = [];
+    
+    tokens.forEach((token, index) => {
+      const type = this.operatorType(token);
+      if (!type) return;
+      
+      const targets = SCOPE_TYPES[type] === 'narrow'
+        ? this.narrowTargets(tokens, index)
+        : this.broadTargets(tokens, index);
+      if (targets.length === 0) return;
+      
+      const scope = {
+        type: type,
+        operator: index,
+        targets: targets,
+        strength: this.strengthOf(type, token)
+      };
+      scopes.push(scope);
+      
+      for (const target of targets) {
+        tokens[target].scope = tokens[target].scope || [];
+        tokens[target].scope.push({ type, operator: token.surface, strength: scope.strength });
+      }
+    });
+    
+    return scopes;
+  }
+  
+  /**
+   * Scope type of a token, or null
+   * Any candidate reading counts, so "never" (STATE.TEMPORAL or MODIFIER.NEGATION) negates
+   */
+  operatorType(token) {
+    const readings = [token, ...(token.candidates || [])];
+    const modifier = readings.find(reading =>
+      reading.universal === 'MODIFIER' && SCOPE_TYPES[reading.transform]);
+    return modifier ? modifier.transform : null;
+  }
+  
+  /**
+   * The next content token in the clause, passing over stacked modifiers ("not very happy")
+   */
+  narrowTargets(tokens, index) {
+    const clause = tokens[index].clause;
+    
+    for (let j = index + 1; j < tokens.length && j - index <= this.maxScope; j++) {
+      if (tokens[j].clause !== clause) break;
+      if (!this.operatorType(tokens[j])) {
+        return [j];
+      }
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Content tokens after the modifier in its clause, or before it when the modifier ends the clause
+   */
+  broadTargets(tokens, index) {
+    const clause = tokens[index].clause;
+    const inClause = (token, j) => j !== index && token.clause === clause && !this.operatorType(token);
+    
+    const after = [];
+    const before = [];
+    tokens.forEach((token, j) => {
+      if (inClause(token, j)) {
+        (j > index ? after : before).push(j);
+      }
+    });
+    
+    return after.length > 0 ? after : before;
+  }
+  
+  /**
+   * Lexical strength of a modifier, falling back to its type's default
+   */
+  strengthOf(type, token) {
+    const table = this.strengths[type] || {};
+    return table[token.lemma] ?? table[token.surface] ?? table.default ?? 1.0;
+  }
+  
+  /**
+   * Apply resolved scopes to hyperposition tokens built from the same compression
+   * Adjusts dimensions before collapse and tracks polarity, intensity and certainty
+   */
+  apply(hyperTokens, scopes) {
+    const touched = new Set();
+    
+    for (const scope of scopes) {
+      const operator = hyperTokens[scope.operator];
+      
+      for (const target of scope.targets) {
+        const token = hyperTokens[target];
+        if (!token) continue;
+        
+        this.applyModifier(token, scope.type, scope.strength);
+        token.modality.operators.push({
+          type: scope.type,
+          operator: operator ? operator.surface : null,
+          strength: scope.strength
+        });
+        touched.add(token);
+      }
+    }
+    
+    touched.forEach(token => token.normalizeDimensions());
+    return hyperTokens;
+  }
+  
+  /**
+   * Scale one token's dimensions for a single modifier
+   */
+  applyModifier(token, type, strength) {
+    const dims = token.dimensions;
+    
+    switch (type) {
+      case 'NEGATION':
+        // Double negation restores polarity but the hedged content stays damped
+        token.modality.polarity *= -1;
+        for (const [dim, factor] of Object.entries(NEGATION_FACTORS)) {
+          dims[dim] *= factor;
+        }
+        break;
+      case 'INTENSITY':
+        token.modality.intensity *= strength;
+        dims.emotional *= strength;
+        dims.energy *= strength;
+        break;
+      case 'POSSIBILITY':
+        token.modality.certainty *= strength;
+        dims.probability *= strength;
+        dims.energy *= (1 + strength) / 2;
+        break;
+      default:
+        throw new Error(`Unknown scope type: ${type}`);
+    }
+  }
+}
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ScopeResolver } from './ScopeResolver.js';
+import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+describe('ScopeResolver', () => {
+  let library;
+  let resolver;
+
+  beforeEach(() => {
+    library = new UniversalTokenLibrary();
+    resolver = new ScopeResolver();
+  });
+
+  const resolve = text => {
+    const compression = library.compress(text);
+    return { compression, scopes: resolver.resolve(compression) };
+  };
+
+  describe('compress clauses', () => {
+    test('splits clauses at punctuation and conjunctions', () => {
+      const { tokens } = library.compress('The dog ran, but the cat slept because it was tired');
+      expect(tokens.map(t => t.clause)).toEqual([0, 0, 1, 1, 2, 2, 2, 2]);
+    });
+
+    test('does not split on "and"', () => {
+      const { tokens } = library.compress('cats and dogs');
+      expect(tokens.map(t => t.clause)).toEqual([0, 0]);
+    });
+  });
+
+  describe('resolve', () => {
+    test('attaches negation to the next content word', () => {
+      const { compression, scopes } = resolve('the boy was not scared');
+      const scared = compression.tokens.find(t => t.surface === 'scared');
+
+      expect(scopes).toEqual([{ type: 'NEGATION', operator: 2, targets: [3], strength: 1 }]);
+      expect(scared.scope).toEqual([{ type: 'NEGATION', operator: 'not', strength: 1 }]);
+    });
+
+    test('passes over stacked modifiers', () => {
+      const { scopes } = resolve('not very happy');
+      expect(scopes.map(s => [s.type, s.targets])).toEqual([['NEGATION', [2]], ['INTENSITY', [2]]]);
+      expect(scopes[1].strength).toBe(1.5);
+    });
+
+    test('gives possibility the rest of its clause', () => {
+      const { compression, scopes } = resolve('maybe the dog ran away, the cat stayed');
+      const targets = scopes[0].targets.map(i => compression.tokens[i].surface);
+
+      expect(targets).toEqual(['dog', 'ran', 'away']);
+      expect(scopes[0].strength).toBe(0.5);
+    });
+
+    test('looks back when a possibility modifier ends its clause', () => {
+      const { compression, scopes } = resolve('he came probably');
+      expect(scopes[0].targets.map(i => compression.tokens[i].surface)).toEqual(['he', 'came']);
+    });
+
+    test('uses ambiguous readings such as "never"', () => {
+      const { scopes } = resolve('he never felt happy');
+      expect(scopes).toEqual([{ type: 'NEGATION', operator: 1, targets: [2], strength: 1 }]);
+    });
+
+    test('does not cross clause boundaries', () => {
+      expect(resolve('not, scared').scopes).toEqual([]);
+
+      const { compression, scopes } = resolve('he will come, probably');
+      expect(scopes).toEqual([]);
+      expect(compression.tokens.every(t => !t.scope)).toBe(true);
+    });
+  });
+
+  describe('apply', () => {
+    const makeToken = (surface, universal) => new HyperpositionToken(surface, universal, { seed: 5 });
+
+    test('damps negated content and flips polarity', () => {
+      const before = makeToken('scared', 'STATE');
+      const after = makeToken('scared', 'STATE');
+      resolver.apply([makeToken('not', 'MODIFIER'), after], [
+        { type: 'NEGATION', operator: 0, targets: [1], strength: 1 }
+      ]);
+
+      expect(after.modality.polarity).toBe(-1);
+      expect(after.modality.operators).toEqual([{ type: 'NEGATION', operator: 'not', strength: 1 }]);
+      expect(after.dimensions.emotional).toBeLessThan(before.dimensions.emotional);
+      expect(Object.values(after.dimensions).reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    });
+
+    test('cancels double negation polarity', () => {
+      const token = makeToken('happy', 'STATE');
+      const scope = { type: 'NEGATION', operator: 0, targets: [0], strength: 1 };
+      resolver.apply([token], [scope, scope]);
+      expect(token.modality.polarity).toBe(1);
+    });
+
+    test('tracks intensity and certainty', () => {
+      const token = makeToken('happy', 'STATE');
+      resolver.apply([token], [
+        { type: 'INTENSITY', operator: 0, targets: [0], strength: 2 },
+        { type: 'POSSIBILITY', operator: 0, targets: [0], strength: 0.5 }
+      ]);
+      expect(token.modality).toMatchObject({ polarity: 1, intensity: 2, certainty: 0.5 });
+    });
+
+    test('rejects unknown scope types', () => {
+      expect(() => resolver.applyModifier(makeToken('x', 'ENTITY'), 'SARCASM', 1)).toThrow('Unknown scope type');
+    });
+  });
+
+  describe('processor integration', () => {
+    test('negated tokens are scored differently from plain ones', () => {
+      const text = 'the boy was not scared';
+      const scoped = new HSTNNProcessor({ seed: 11 }).processText(text);
+      const plain = new HSTNNProcessor({ seed: 11, resolveScope: false }).processText(text);
+      const find = result => result.hyperTokens.find(t => t.surface === 'scared');
+
+      expect(scoped.compression.scopes).toHaveLength(1);
+      expect(plain.compression.scopes).toEqual([]);
+      expect(find(scoped).modality.polarity).toBe(-1);
+      expect(find(scoped).dimensions.emotional).toBeLessThan(find(plain).dimensions.emotional);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * SeededRandom - Deterministic pseudo-random source for reproducible runs
+ * A single generator is shared by every component of a processing pipeline
+ */
+
+/**
+ * Create a seeded generator with the same contract as Math.random
+ * Uses mulberry32: fast, 32-bit state, good enough for simulation noise
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick the random source for a component from its options
+ * An injected generator wins over a seed; with neither, fall back to Math.random
+ */
+export function resolveRandom(options = {}) {
+  if (typeof options.random === 'function') {
+    return options.random;
+  }
+  if (options.seed !== undefined && options.seed !== null) {
+    return createRandom(options.seed);
+  }
+  return Math.random;
+}
+
+/**
+ * Reduce numeric or string seeds to a 32-bit integer state
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed | 0;
+  }
+
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash | 0;
+}
@@ -0,0 +1,100 @@
+import { describe, test, expect } from '@jest/globals';
+import { createRandom, resolveRandom } from './SeededRandom.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+import { SparseHyperpositionEncoder } from '../architecture/SparseDistributed.js';
+
+describe('SeededRandom', () => {
+  describe('createRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+      const a = createRandom(42);
+      const b = createRandom(42);
+
+      for (let i = 0; i < 20; i++) {
+        expect(a()).toBe(b());
+      }
+    });
+
+    test('produces different sequences for different seeds', () => {
+      const a = createRandom(1);
+      const b = createRandom(2);
+
+      expect(a()).not.toBe(b());
+    });
+
+    test('accepts string seeds', () => {
+      expect(createRandom('experiment-a')()).toBe(createRandom('experiment-a')());
+    });
+
+    test('returns values in [0, 1)', () => {
+      const random = createRandom(7);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('resolveRandom', () => {
+    test('prefers an injected generator over a seed', () => {
+      const injected = () => 0.5;
+      expect(resolveRandom({ random: injected, seed: 1 })).toBe(injected);
+    });
+
+    test('falls back to Math.random without options', () => {
+      expect(resolveRandom()).toBe(Math.random);
+    });
+
+    test('is how the processor picks its per-run source', () => {
+      const injected = () => 0.5;
+      expect(new HSTNNProcessor({ random: injected, seed: 1 }).createRandom()).toBe(injected);
+      expect(new HSTNNProcessor({ seed: 1 }).createRandom()()).toBe(createRandom(1)());
+      expect(new HSTNNProcessor({ seed: null }).createRandom()).toBe(Math.random);
+    });
+  });
+
+  describe('pipeline reproducibility', () => {
+    test('seeded tokens initialize identical dimensions', () => {
+      const a = new HyperpositionToken('dog', 'ENTITY', { seed: 9 });
+      const b = new HyperpositionToken('dog', 'ENTITY', { seed: 9 });
+
+      expect(a.dimensions).toEqual(b.dimensions);
+    });
+
+    test('seeded encoders generate identical hash seeds', () => {
+      const a = new SparseHyperpositionEncoder(1000, 0.05, { seed: 3 });
+      const b = new SparseHyperpositionEncoder(1000, 0.05, { seed: 3 });
+
+      expect(a.seeds).toEqual(b.seeds);
+      expect(a.encode('memory')).toEqual(b.encode('memory'));
+    });
+
+    test('processText is reproducible for the same input and seed', () => {
+      const text = 'The boy ran because he was scared of the dog';
+      const summarize = result => ({
+        dimensions: result.hyperTokens.map(t => t.dimensions),
+        traces: result.traces.map(trace => ({
+          path: trace.path.map(t => t.surface),
+          energy: trace.energy,
+          coherence: trace.coherence
+        }))
+      });
+
+      const first = new HSTNNProcessor({ seed: 1234 }).processText(text);
+      const second = new HSTNNProcessor({ seed: 1234 }).processText(text);
+
+      expect(JSON.stringify(summarize(first))).toBe(JSON.stringify(summarize(second)));
+    });
+
+    test('a seeded processor restarts its sequence on every run', () => {
+      const processor = new HSTNNProcessor({ seed: 'regression' });
+      const first = processor.processText('The rain fell because clouds formed');
+      const second = processor.processText('The rain fell because clouds formed');
+
+      expect(second.bestTrace.coherence).toBe(first.bestTrace.coherence);
+      expect(second.hyperTokens.map(t => t.dimensions))
+        .toEqual(first.hyperTokens.map(t => t.dimensions));
+    });
+  });
+});
@@ -4,15 +4,27 @@
  */
 
 import { HyperpositionToken } from './HyperpositionToken.js';
+import { ArrangementParser } from './ArrangementParser.js';
 
 export class SkipTraceEngine {
-  constructor(tokens, threshold = 0.3) {
+  constructor(tokens, threshold = 0.3, options = {}) {
     this.tokens = tokens;           // Array of HyperpositionTokens
     this.threshold = threshold;     // Minimum score for skip connections
+    this.pairThreshold = options.pairThreshold || null; // Optional (from, to, engine) => threshold for one hop
     this.traces = [];              // Generated skip traces
     this.energy = 1.0;             // Total energy for trace generation
-    this.maxTraceLength = 10;      // Maximum length of a single trace
-    this.branchingFactor = 3;      // Maximum branches per token
+    this.maxTraceLength = options.maxTraceLength ?? 10;  // Maximum length of a single trace
+    this.branchingFactor = options.branchingFactor ?? 3; // Maximum branches per token
+    this.maxTraces = options.maxTraces ?? Infinity;      // Exhaustive mode: traces generated before branching stops
+    this.traceBudget = this.maxTraces;                   // Traces left for the current anchor
+    
+    // Search strategy: 'exhaustive' recursion or bounded 'beam' search
+    this.mode = options.mode || 'exhaustive';
+    this.beamWidth = options.beamWidth || 5;       // Partial traces kept per depth
+    this.beamScore = options.beamScore || ((partial) => partial.score);
+    
+    // Explain mode records a per-hop score breakdown on every trace
+    this.explain = options.explain || false;
     
     // Weights for skip score calculation
     this.weights = {
@@ -21,6 +33,78 @@ export class SkipTraceEngine {
       semantic: 0.25,   // λ₃: Semantic similarity (inverted distance)
       temporal: 0.2     // λ₄: Temporal flow
     };
+    
+    // Named scoring terms summed by skipScore: name -> (from, to, engine) => [0, 1]
+    this.scoreComponents = new Map([
+      ['causal', (from, to, engine) => engine.causalStrength(from, to)],
+      ['emotional', (from, to, engine) => engine.emotionalResonance(from, to)],
+      ['semantic', (from, to, engine) => 1 - engine.semanticDistance(from, to)],
+      ['temporal', (from, to, engine) => engine.temporalFlow(from, to)]
+    ]);
+    
+    // Arrangement graph edges from compress, scored between tokens by position
+    this.arrangements = this.indexArrangements(options.arrangements || []);
+    if (options.arrangements) {
+      this.registerScoreComponent('arrangement',
+        (from, to, engine) => engine.arrangementStrength(from, to),
+        options.arrangementWeight ?? 0.2);
+    }
+    
+    // Pronouns linked to their antecedents let traces skip between an entity's mentions
+    if ((tokens || []).some(token => (token.connections || []).some(c => c.type === 'coreference'))) {
+      this.registerScoreComponent('coreference',
+        (from, to, engine) => engine.coreferenceStrength(from, to),
+        options.coreferenceWeight ?? 0.25);
+    }
+    
+    for (const component of options.scoreComponents || []) {
+      this.registerScoreComponent(component.name, component.score, component.weight);
+    }
+  }
+  
+  /**
+   * Add or replace a named scoring term
+   * Its weight is stored in this.weights alongside the built-in lambdas; without a
+   * weight, a replaced term keeps its current one and a new term gets 0.1
+   */
+  registerScoreComponent(name, score, weight) {
+    if (typeof score !== 'function') {
+      throw new Error(`Score component "${name}" must be a function`);
+    }
+    
+    this.scoreComponents.set(name, score);
+    this.weights[name] = weight ?? this.weights[name] ?? 0.1;
+    return this;
+  }
+  
+  /**
+   * Remove a named scoring term
+   */
+  removeScoreComponent(name) {
+    delete this.weights[name];
+    return this.scoreComponents.delete(name);
+  }
+  
+  /**
+   * Change the weight of a registered scoring term
+   */
+  setScoreWeight(name, weight) {
+    if (!this.scoreComponents.has(name)) {
+      throw new Error(`Unknown score component: ${name}`);
+    }
+    
+    this.weights[name] = weight;
+    return this;
+  }
+  
+  /**
+   * List registered scoring terms with their weights
+   */
+  getScoreComponents() {
+    return Array.from(this.scoreComponents.keys()).map(name => ({
+      name: name,
+      weight: this.weights[name]
+    }));
   }
   
   /**
@@ -34,9 +118,17 @@ export class SkipTraceEngine {
     const anchors = this.findAnchors();
     
     // Generate traces from each anchor
-    for (const anchor of anchors) {
-      const anchorTraces = this.traceFromToken(anchor, [], this.energy);
-      this.traces.push(...anchorTraces);
+    if (this.mode === 'beam') {
+      this.traces = this.beamSearch(anchors);
+    } else if (this.mode === 'exhaustive') {
+      // maxTraces is shared out between anchors so later ones are still explored
+      for (const anchor of anchors) {
+        this.traceBudget = Math.ceil(this.maxTraces / anchors.length);
+        const anchorTraces = this.traceFromToken(anchor, [], this.energy);
+        this.traces.push(...anchorTraces);
+      }
+    } else {
+      throw new Error(`Unknown trace mode: ${this.mode}`);
     }
     
     // Prune redundant or low-coherence traces
@@ -71,44 +163,49 @@ export class SkipTraceEngine {
    * Generate traces starting from a specific token
    * Recursive function that branches through meaning space
    */
-  traceFromToken(currentToken, path, remainingEnergy) {
+  traceFromToken(currentToken, path, remainingEnergy, hops = []) {
     // Terminal conditions
     if (path.length >= this.maxTraceLength || remainingEnergy < 0.1) {
-      return [{
-        path: [...path, currentToken],
-        energy: this.energy - remainingEnergy,
-        complete: true
-      }];
+      this.traceBudget--;
+      return [this.finishTrace([...path, currentToken], remainingEnergy, true, hops)];
     }
     
     // Add current token to path
     const newPath = [...path, currentToken];
     
     // Calculate skip scores to all other tokens
-    const skipCandidates = this.findSkipCandidates(currentToken, newPath);
+    // Explain mode keeps the below-threshold candidates for the hop record
+    const scored = this.explain ? this.scoreCandidates(currentToken, newPath) : null;
+    const skipCandidates = scored
+      ? scored.filter(candidate => candidate.score > this.thresholdFor(currentToken, candidate.token))
+      : this.findSkipCandidates(currentToken, newPath);
     
     // If no good candidates, end trace here
     if (skipCandidates.length === 0) {
-      return [{
-        path: newPath,
-        energy: this.energy - remainingEnergy,
-        complete: false
-      }];
+      this.traceBudget--;
+      return [this.finishTrace(newPath, remainingEnergy, false, hops)];
     }
     
-    // Branch to top candidates
+    // Branch to top candidates; once the budget is spent only the best branch
+    // is followed, so every started trace still finishes
     const traces = [];
     const branches = Math.min(this.branchingFactor, skipCandidates.length);
     
     for (let i = 0; i < branches; i++) {
+      if (i > 0 && this.traceBudget <= 0) break;
+      
       const candidate = skipCandidates[i];
       const energyCost = this.calculateEnergyCost(currentToken, candidate.token);
+      const nextHops = scored
+        ? [...hops, this.explainHop(currentToken, candidate, energyCost, scored, branches)]
+        : hops;
       
       // Recursively trace from candidate
       const subTraces = this.traceFromToken(
         candidate.token,
         newPath,
-        remainingEnergy - energyCost
+        remainingEnergy - energyCost,
+        nextHops
       );
       
       traces.push(...subTraces);
@@ -117,6 +214,125 @@ export class SkipTraceEngine {
     return traces;
   }
   
+  /**
+   * Generate traces breadth-first, keeping only the top beamWidth partial
+   * traces at each depth. Bounds work on long inputs where full recursion
+   * grows as branchingFactor^maxTraceLength
+   */
+  beamSearch(anchors) {
+    const finished = [];
+    let beam = anchors.map(anchor => ({
+      path: [anchor],
+      remainingEnergy: this.energy,
+      score: 0,
+      hops: []
+    }));
+    
+    while (beam.length > 0) {
+      const expanded = [];
+      
+      for (const partial of beam) {
+        const { path, remainingEnergy, hops } = partial;
+        
+        // Terminal conditions mirror traceFromToken
+        if (path.length > this.maxTraceLength || remainingEnergy < 0.1) {
+          finished.push(this.finishTrace(path, remainingEnergy, true, hops));
+          continue;
+        }
+        
+        const currentToken = path[path.length - 1];
+        const scored = this.explain ? this.scoreCandidates(currentToken, path) : null;
+        const skipCandidates = scored
+          ? scored.filter(candidate => candidate.score > this.thresholdFor(currentToken, candidate.token))
+          : this.findSkipCandidates(currentToken, path);
+        
+        if (skipCandidates.length === 0) {
+          finished.push(this.finishTrace(path, remainingEnergy, false, hops));
+          continue;
+        }
+        
+        const branches = Math.min(this.branchingFactor, skipCandidates.length);
+        for (let i = 0; i < branches; i++) {
+          const candidate = skipCandidates[i];
+          const energyCost = this.calculateEnergyCost(currentToken, candidate.token);
+          
+          expanded.push({
+            path: [...path, candidate.token],
+            remainingEnergy: remainingEnergy - energyCost,
+            score: partial.score + candidate.score,
+            hops: scored
+              ? [...hops, this.explainHop(currentToken, candidate, energyCost, scored, branches)]
+              : hops
+          });
+        }
+      }
+      
+      // Keep the top-K partial traces for the next depth
+      beam = expanded
+        .map(partial => ({ partial, rank: this.beamScore(partial, this) }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, this.beamWidth)
+        .map(entry => entry.partial);
+    }
+    
+    return finished;
+  }
+  
+  /**
+   * Build a trace record; hops are only attached in explain mode
+   */
+  finishTrace(path, remainingEnergy, complete, hops = []) {
+    const trace = {
+      path: path,
+      energy: this.energy - remainingEnergy,
+      complete: complete
+    };
+    
+    if (this.explain) {
+      trace.hops = hops;
+    }
+    
+    return trace;
+  }
+  
+  /**
+   * Record why a hop was taken and what it beat
+   * Rejection reasons: 'threshold' (scored too low), 'branching' (above
+   * threshold but past branchingFactor), 'alternative' (followed by a sibling trace)
+   */
+  explainHop(fromToken, candidate, energyCost, scored, branches) {
+    const rejected = [];
+    
+    scored.forEach((other, rank) => {
+      if (other === candidate) return;
+      
+      let reason = 'alternative';
+      if (other.score <= this.thresholdFor(fromToken, other.token)) {
+        reason = 'threshold';
+      } else if (rank >= branches) {
+        reason = 'branching';
+      }
+      
+      rejected.push({ token: other.token, score: other.score, reason: reason });
+    });
+    
+    return {
+      from: fromToken,
+      to: candidate.token,
+      score: candidate.score,
+      components: candidate.components,
+      energyCost: energyCost,
+      rejected: rejected
+    };
+  }
+  
+  /**
+   * Minimum score for a hop, from pairThreshold when one is configured
+   */
+  thresholdFor(fromToken, toToken) {
+    return this.pairThreshold ? this.pairThreshold(fromToken, toToken, this) : this.threshold;
+  }
+  
   /**
    * Find valid skip candidates from current token
    */
@@ -131,7 +347,7 @@ export class SkipTraceEngine {
       const score = this.skipScore(fromToken, toToken);
       
       // Only consider if above threshold
-      if (score > this.threshold) {
+      if (score > this.thresholdFor(fromToken, toToken)) {
         candidates.push({ token: toToken, score: score });
       }
     }
@@ -143,30 +359,54 @@ export class SkipTraceEngine {
   }
   
   /**
-   * Calculate skip score between two tokens
-   * S(tᵢ, tⱼ) = λ₁·C(tᵢ,tⱼ) + λ₂·E(tᵢ,tⱼ) + λ₃·(1-D(tᵢ,tⱼ)) + λ₄·T(tᵢ,tⱼ)
+   * Score every reachable token with its per-component breakdown,
+   * including those below threshold
    */
-  skipScore(from, to) {
-    // Causal link strength
-    const causal = this.causalStrength(from, to);
-    
-    // Emotional resonance
-    const emotional = this.emotionalResonance(from, to);
+  scoreCandidates(fromToken, currentPath) {
+    const candidates = [];
     
-    // Semantic similarity (inverse of distance)
-    const semantic = 1 - this.semanticDistance(from, to);
+    for (const toToken of this.tokens) {
+      if (currentPath.includes(toToken)) continue;
+      
+      const breakdown = this.scoreBreakdown(fromToken, toToken);
+      candidates.push({
+        token: toToken,
+        score: breakdown.score,
+        components: breakdown.components
+      });
+    }
     
-    // Temporal flow
-    const temporal = this.temporalFlow(from, to);
+    candidates.sort((a, b) => b.score - a.score);
     
-    // Weighted combination
-    const score = 
-      this.weights.causal * causal +
-      this.weights.emotional * emotional +
-      this.weights.semantic * semantic +
-      this.weights.temporal * temporal;
+    return candidates;
+  }
+  
+  /**
+   * Calculate skip score between two tokens
+   * S(tᵢ, tⱼ) = Σₖ λₖ·Sₖ(tᵢ,tⱼ) over registered score components
+   * Built in: λ₁·C(tᵢ,tⱼ) + λ₂·E(tᵢ,tⱼ) + λ₃·(1-D(tᵢ,tⱼ)) + λ₄·T(tᵢ,tⱼ)
+   */
+  skipScore(from, to) {
+    return this.scoreBreakdown(from, to).score;
+  }
+  
+  /**
+   * Calculate the skip score along with each component's contribution
+   */
+  scoreBreakdown(from, to) {
+    const components = {};
+    let score = 0;
+    
+    for (const [name, component] of this.scoreComponents) {
+      const value = component(from, to, this);
+      const weight = this.weights[name];
+      const contribution = weight * value;
+      
+      components[name] = { value, weight, contribution };
+      score += contribution;
+    }
     
-    return score;
+    return { score, components };
   }
   
   /**
@@ -182,6 +422,43 @@ export class SkipTraceEngine {
     return Math.min(1.0, causalProduct * causalFlow);
   }
   
+  /**
+   * Index arrangement edges by "from-to" position pairs
+   * Undirected edge types are indexed both ways; directed ones (cause -> effect)
+   * score half strength when traversed backwards
+   */
+  indexArrangements(edges) {
+    const index = new Map();
+    const set = (from, to, weight) => {
+      const key = `${from}-${to}`;
+      index.set(key, Math.max(index.get(key) || 0, weight));
+    };
+    
+    for (const edge of edges) {
+      const weight = edge.weight ?? 1.0;
+      set(edge.from, edge.to, weight);
+      set(edge.to, edge.from, ArrangementParser.isDirected(edge.type) ? weight * 0.5 : weight);
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Strength of the arrangement edge between two tokens, 0 when unlinked
+   */
+  arrangementStrength(from, to) {
+    if (from.position === null || to.position === null) return 0;
+    return this.arrangements.get(`${from.position}-${to.position}`) || 0;
+  }
+  
+  /**
+   * Strength of a coreference connection between two tokens, 0 when unlinked
+   */
+  coreferenceStrength(from, to) {
+    const link = from.connections.find(c => c.type === 'coreference' && c.token === to);
+    return link ? link.strength : 0;
+  }
+  
   /**
    * Calculate emotional resonance between tokens
    */
@@ -307,8 +584,9 @@ export class SkipTraceEngine {
   
   /**
    * Visualize traces as string paths
+   * With explain, each entry also lists one line per hop
    */
-  visualizeTraces(maxTraces = 5) {
+  visualizeTraces(maxTraces = 5, { explain = this.explain } = {}) {
     const result = [];
     const tracesToShow = Math.min(maxTraces, this.traces.length);
     
@@ -318,15 +596,39 @@ export class SkipTraceEngine {
         .map(token => `[${token.surface}]`)
         .join(' → ');
       
-      result.push({
+      const entry = {
         rank: i + 1,
         path: path,
         coherence: trace.coherence.toFixed(3),
         energy: trace.energy.toFixed(3),
         length: trace.path.length
-      });
+      };
+      
+      if (explain && trace.hops) {
+        entry.hops = trace.hops.map(hop => SkipTraceEngine.formatHop(hop));
+      }
+      
+      result.push(entry);
     }
     
     return result;
   }
+  
+  /**
+   * Render one explained hop as a single line
+   * e.g. [boy] → [ran] 0.512 = causal 0.120 + emotional 0.180 | cost 0.031 | rejected [dog] 0.280 (threshold)
+   */
+  static formatHop(hop) {
+    const terms = Object.entries(hop.components)
+      .map(([name, { contribution }]) => `${name} ${contribution.toFixed(3)}`)
+      .join(' + ');
+    const rejected = hop.rejected.length > 0
+      ? hop.rejected
+        .map(r => `[${r.token.surface}] ${r.score.toFixed(3)} (${r.reason})`)
+        .join(', ')
+      : 'none';
+    
+    return `[${hop.from.surface}] → [${hop.to.surface}] ${hop.score.toFixed(3)} = ${terms}` +
+      ` | cost ${hop.energyCost.toFixed(3)} | rejected ${rejected}`;
+  }
 }
\ No newline at end of file
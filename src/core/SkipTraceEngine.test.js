@@ -0,0 +1,339 @@
+import { describe, test, expect } from '@jest/globals';
+import { SkipTraceEngine } from './SkipTraceEngine.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+import { createRandom } from './SeededRandom.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+
+const UNIVERSALS = ['ENTITY', 'ACTION', 'RELATION', 'STATE', 'MODIFIER'];
+
+function makeTokens(count, seed = 11) {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (_, i) =>
+    new HyperpositionToken(`w${i}`, UNIVERSALS[i % UNIVERSALS.length], { random, position: i })
+  );
+}
+
+const signature = trace => trace.path.map(t => t.surface).join('>');
+
+describe('SkipTraceEngine', () => {
+  describe('beam search mode', () => {
+    test('returns traces with the same shape as exhaustive mode', () => {
+      const tokens = makeTokens(8);
+      const exhaustive = new SkipTraceEngine(tokens, 0.1).generateTraces();
+      const beam = new SkipTraceEngine(tokens, 0.1, { mode: 'beam', beamWidth: 4 }).generateTraces();
+
+      expect(beam.length).toBeGreaterThan(0);
+      expect(Object.keys(beam[0]).sort()).toEqual(Object.keys(exhaustive[0]).sort());
+      beam.forEach(trace => {
+        expect(trace.path.length).toBeGreaterThanOrEqual(3);
+        expect(typeof trace.coherence).toBe('number');
+      });
+    });
+
+    test('matches exhaustive search when the beam is wide enough', () => {
+      const tokens = makeTokens(6);
+      const exhaustive = new SkipTraceEngine(tokens, 0.1);
+      const beam = new SkipTraceEngine(tokens, 0.1, { mode: 'beam', beamWidth: 100000 });
+      const anchors = exhaustive.findAnchors();
+
+      const fromRecursion = anchors
+        .flatMap(anchor => exhaustive.traceFromToken(anchor, [], exhaustive.energy))
+        .map(signature)
+        .sort();
+      const fromBeam = beam.beamSearch(anchors).map(signature).sort();
+
+      expect(fromBeam).toEqual(fromRecursion);
+    });
+
+    test('bounds the number of expansions on long inputs', () => {
+      const tokens = makeTokens(40);
+      const engine = new SkipTraceEngine(tokens, 0.1, { mode: 'beam', beamWidth: 3 });
+      let expansions = 0;
+      const original = engine.findSkipCandidates.bind(engine);
+      engine.findSkipCandidates = (from, path) => {
+        expansions++;
+        return original(from, path);
+      };
+
+      engine.generateTraces();
+
+      // At most beamWidth partials are expanded per depth
+      expect(expansions).toBeLessThanOrEqual(engine.findAnchors().length + engine.beamWidth * engine.maxTraceLength);
+    });
+
+    test('ranks partial traces with a custom scoring function', () => {
+      const tokens = makeTokens(10);
+      const calls = [];
+      const engine = new SkipTraceEngine(tokens, 0.1, {
+        mode: 'beam',
+        beamWidth: 2,
+        beamScore: (partial) => {
+          calls.push(partial);
+          return partial.remainingEnergy;
+        }
+      });
+
+      engine.generateTraces();
+
+      expect(calls.length).toBeGreaterThan(0);
+      expect(calls[0]).toHaveProperty('path');
+      expect(calls[0]).toHaveProperty('score');
+    });
+
+    test('is selected through HSTNNProcessor config', () => {
+      const processor = new HSTNNProcessor({ seed: 5, traceMode: 'beam', beamWidth: 2 });
+      const result = processor.processText('The boy ran because he was scared of the dog');
+
+      expect(result.traces.length).toBeGreaterThan(0);
+      expect(result.bestTrace).toBe(result.traces[0]);
+    });
+
+    test('rejects unknown modes', () => {
+      const engine = new SkipTraceEngine(makeTokens(4), 0.1, { mode: 'greedy' });
+      expect(() => engine.generateTraces()).toThrow('Unknown trace mode');
+    });
+  });
+
+  describe('exhaustive mode', () => {
+    const countFinished = (engine) => {
+      let finished = 0;
+      const original = engine.finishTrace.bind(engine);
+      engine.finishTrace = (...args) => {
+        finished++;
+        return original(...args);
+      };
+      return () => finished;
+    };
+
+    test('stops branching once maxTraces have been generated', () => {
+      const tokens = makeTokens(8);
+      const unbounded = new SkipTraceEngine(tokens, 0.1);
+      const capped = new SkipTraceEngine(tokens, 0.1, { maxTraces: 50 });
+      const unboundedCount = countFinished(unbounded);
+      const cappedCount = countFinished(capped);
+
+      unbounded.generateTraces();
+      capped.generateTraces();
+
+      // Traces already started still finish, one per open depth and anchor
+      const anchors = capped.findAnchors().length;
+      expect(unboundedCount()).toBeGreaterThan(50);
+      expect(cappedCount()).toBeLessThanOrEqual(50 + anchors * capped.maxTraceLength);
+    });
+
+    test('shares the budget between anchors', () => {
+      const engine = new SkipTraceEngine(makeTokens(20), 0.1, { maxTraces: 12 });
+      const starts = new Set(engine.generateTraces().map(trace => trace.path[0]));
+
+      expect(starts.size).toBe(engine.findAnchors().length);
+    });
+
+    test('keeps processText bounded on multi-sentence input by default', () => {
+      const processor = new HSTNNProcessor({ seed: 1 });
+      const text = 'The old man walked slowly to the river. He remembered the children who played there. ' +
+        'She lives near the water and leaves early. The dogs ran quickly through the forest.';
+      let engine;
+      let finished;
+      const createEngine = processor.createEngine.bind(processor);
+      processor.createEngine = (...args) => {
+        engine = createEngine(...args);
+        finished = countFinished(engine);
+        return engine;
+      };
+
+      processor.processText(text);
+
+      expect(engine.maxTraces).toBe(5000);
+      expect(finished()).toBeLessThanOrEqual(5000 + engine.findAnchors().length * engine.maxTraceLength);
+    });
+  });
+
+  describe('score components', () => {
+    test('registers the four built-in terms with their lambdas', () => {
+      const engine = new SkipTraceEngine(makeTokens(3));
+
+      expect(engine.getScoreComponents()).toEqual([
+        { name: 'causal', weight: 0.3 },
+        { name: 'emotional', weight: 0.25 },
+        { name: 'semantic', weight: 0.25 },
+        { name: 'temporal', weight: 0.2 }
+      ]);
+    });
+
+    test('skipScore sums the weighted built-in terms', () => {
+      const [a, b] = makeTokens(2);
+      const engine = new SkipTraceEngine([a, b]);
+      const expected =
+        0.3 * engine.causalStrength(a, b) +
+        0.25 * engine.emotionalResonance(a, b) +
+        0.25 * (1 - engine.semanticDistance(a, b)) +
+        0.2 * engine.temporalFlow(a, b);
+
+      expect(engine.skipScore(a, b)).toBeCloseTo(expected, 12);
+    });
+
+    test('adds, replaces and removes named terms', () => {
+      const [a, b] = makeTokens(2);
+      const engine = new SkipTraceEngine([a, b]);
+      const base = engine.skipScore(a, b);
+
+      engine.registerScoreComponent('prior', () => 1, 0.5);
+      expect(engine.skipScore(a, b)).toBeCloseTo(base + 0.5, 12);
+
+      engine.registerScoreComponent('prior', () => 0.5, 0.5);
+      expect(engine.skipScore(a, b)).toBeCloseTo(base + 0.25, 12);
+
+      engine.setScoreWeight('prior', 1);
+      expect(engine.skipScore(a, b)).toBeCloseTo(base + 0.5, 12);
+
+      expect(engine.removeScoreComponent('prior')).toBe(true);
+      expect(engine.skipScore(a, b)).toBeCloseTo(base, 12);
+      expect(engine.weights).not.toHaveProperty('prior');
+    });
+
+    test('keeps the weight of a replaced term unless a new one is given', () => {
+      const engine = new SkipTraceEngine(makeTokens(2));
+
+      engine.registerScoreComponent('causal', () => 1);
+      expect(engine.weights.causal).toBe(0.3);
+      engine.registerScoreComponent('prior', () => 1);
+      expect(engine.weights.prior).toBe(0.1);
+      engine.registerScoreComponent('causal', () => 1, 0.6);
+      expect(engine.weights.causal).toBe(0.6);
+    });
+
+    test('passes the engine to each term', () => {
+      const [a, b] = makeTokens(2);
+      const engine = new SkipTraceEngine([a, b]);
+      let received;
+      engine.registerScoreComponent('probe', (from, to, self) => {
+        received = { from, to, self };
+        return 0;
+      });
+
+      engine.skipScore(a, b);
+
+      expect(received).toEqual({ from: a, to: b, self: engine });
+    });
+
+    test('accepts components through constructor options', () => {
+      const transitionPrior = (from, to) =>
+        from.universal === 'ENTITY' && to.universal === 'ACTION' ? 1 : 0;
+      const engine = new SkipTraceEngine(makeTokens(3), 0.3, {
+        scoreComponents: [{ name: 'transition', score: transitionPrior, weight: 0.4 }]
+      });
+
+      expect(engine.getScoreComponents()).toContainEqual({ name: 'transition', weight: 0.4 });
+    });
+
+    test('rejects non-function terms and unknown weights', () => {
+      const engine = new SkipTraceEngine(makeTokens(2));
+
+      expect(() => engine.registerScoreComponent('bad', 0.5)).toThrow('must be a function');
+      expect(() => engine.setScoreWeight('missing', 1)).toThrow('Unknown score component');
+    });
+  });
+
+  describe('per-hop thresholds', () => {
+    test('uses pairThreshold in place of the global threshold', () => {
+      const tokens = makeTokens(6);
+      const blocked = new Set(['w0', 'w1']);
+      const engine = new SkipTraceEngine(tokens, 0.1, {
+        pairThreshold: (from, to) => (blocked.has(from.surface) && blocked.has(to.surface) ? 2 : 0.1)
+      });
+
+      expect(engine.thresholdFor(tokens[0], tokens[1])).toBe(2);
+      expect(engine.thresholdFor(tokens[0], tokens[2])).toBe(0.1);
+      engine.generateTraces().forEach(trace => {
+        const path = trace.path.map(t => t.surface).join('>');
+        expect(path).not.toMatch(/w0>w1|w1>w0/);
+      });
+    });
+
+    test('reports hops rejected by pairThreshold as threshold rejections', () => {
+      const tokens = makeTokens(5);
+      const engine = new SkipTraceEngine(tokens, 0.1, {
+        explain: true,
+        pairThreshold: (from, to) => (to.surface === 'w4' ? 2 : 0.1)
+      });
+      const hops = engine.generateTraces().flatMap(trace => trace.hops);
+
+      expect(hops.some(hop => hop.to.surface === 'w4')).toBe(false);
+      hops.flatMap(hop => hop.rejected)
+        .filter(rejection => rejection.token.surface === 'w4')
+        .forEach(rejection => expect(rejection.reason).toBe('threshold'));
+    });
+  });
+
+  describe('explain mode', () => {
+    test('does not attach hops by default', () => {
+      const traces = new SkipTraceEngine(makeTokens(6), 0.1).generateTraces();
+      traces.forEach(trace => expect(trace).not.toHaveProperty('hops'));
+    });
+
+    test('records one hop per step with component contributions', () => {
+      const engine = new SkipTraceEngine(makeTokens(6), 0.1, { explain: true });
+      const traces = engine.generateTraces();
+
+      expect(traces.length).toBeGreaterThan(0);
+      traces.forEach(trace => {
+        expect(trace.hops).toHaveLength(trace.path.length - 1);
+        trace.hops.forEach((hop, i) => {
+          expect(hop.from).toBe(trace.path[i]);
+          expect(hop.to).toBe(trace.path[i + 1]);
+          expect(Object.keys(hop.components)).toEqual(['causal', 'emotional', 'semantic', 'temporal']);
+
+          const total = Object.values(hop.components).reduce((sum, c) => sum + c.contribution, 0);
+          expect(hop.score).toBeCloseTo(total, 12);
+          expect(hop.energyCost).toBeCloseTo(engine.calculateEnergyCost(hop.from, hop.to), 12);
+        });
+      });
+    });
+
+    test('lists rejected candidates with scores and reasons', () => {
+      const engine = new SkipTraceEngine(makeTokens(8), 0.45, { explain: true });
+      engine.branchingFactor = 1;
+      const traces = engine.generateTraces();
+      const hop = traces.find(trace => trace.hops.length > 0).hops[0];
+
+      expect(hop.rejected.length).toBeGreaterThan(0);
+      hop.rejected.forEach(rejected => {
+        expect(rejected.token).not.toBe(hop.to);
+        expect(['threshold', 'branching', 'alternative']).toContain(rejected.reason);
+        if (rejected.reason === 'threshold') {
+          expect(rejected.score).toBeLessThanOrEqual(engine.threshold);
+        } else {
+          expect(rejected.score).toBeLessThanOrEqual(hop.score);
+        }
+      });
+    });
+
+    test('explains beam-search traces too', () => {
+      const engine = new SkipTraceEngine(makeTokens(6), 0.1, { explain: true, mode: 'beam' });
+      engine.generateTraces().forEach(trace => {
+        expect(trace.hops).toHaveLength(trace.path.length - 1);
+      });
+    });
+
+    test('keeps trace scores identical to non-explain runs', () => {
+      const tokens = makeTokens(6);
+      const plain = new SkipTraceEngine(tokens, 0.1).generateTraces();
+      const explained = new SkipTraceEngine(tokens, 0.1, { explain: true }).generateTraces();
+
+      expect(explained.map(signature)).toEqual(plain.map(signature));
+      expect(explained.map(t => t.coherence)).toEqual(plain.map(t => t.coherence));
+    });
+
+    test('visualizeTraces renders the breakdown', () => {
+      const engine = new SkipTraceEngine(makeTokens(6), 0.1, { explain: true });
+      engine.generateTraces();
+      const [first] = engine.visualizeTraces(1);
+
+      expect(first.hops).toHaveLength(first.length - 1);
+      expect(first.hops[0]).toMatch(/^\[w\d+\] → \[w\d+\] \d\.\d{3} = causal /);
+      expect(first.hops[0]).toContain('| cost ');
+      expect(first.hops[0]).toContain('| rejected ');
+      expect(engine.visualizeTraces(1, { explain: false })[0]).not.toHaveProperty('hops');
+    });
+  });
+});
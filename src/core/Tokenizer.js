@@ -0,0 +1,203 @@
+/**
+ * Tokenizer - Splits raw text into word, number and punctuation tokens
+ * Shared by UniversalTokenLibrary.compress and HyperpositionWrapper so both
+ * see "dog." as [dog][.] and "don't" as [do][not]
+ */
+
+/**
+ * Contractions that do not split cleanly at the apostrophe
+ */
+export const IRREGULAR_CONTRACTIONS = {
+  "won't": ['will', 'not'],
+  "can't": ['can', 'not'],
+  "shan't": ['shall', 'not'],
+  "ain't": ['is', 'not'],
+  "let's": ['let', 'us']
+};
+
+/**
+ * Contraction suffixes and their expansions
+ */
+export const CONTRACTION_SUFFIXES = {
+  "n't": 'not',
+  "'re": 'are',
+  "'ve": 'have',
+  "'ll": 'will',
+  "'d": 'would',
+  "'m": 'am'
+};
+
+// Words where 's is "is" rather than a possessive ("he's", "there's")
+const IS_CONTRACTION_BASES = new Set([
+  'he', 'she', 'it', 'that', 'there', 'here', 'what', 'who', 'where', 'when', 'how', 'this'
+]);
+
+// Sentence-final punctuation, and closers that stay with the sentence they end
+const SENTENCE_END = new Set(['.', '!', '?', '…']);
+const SENTENCE_CLOSERS = new Set(['"', "'", '”', '’', ')', ']']);
+
+// Abbreviations whose period does not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'fig', 'approx'
+]);
+
+// Abbreviations only when a number follows ("No. 5"), since "He said no." ends a sentence
+const NUMBERED_ABBREVIATIONS = new Set(['no']);
+
+// Numbers (3.14, 1,000), words with inner apostrophes or hyphens, single punctuation/symbols
+const TOKEN_PATTERN = /\p{N}+(?:[.,]\p{N}+)*(?![\p{L}\p{M}\p{N}])|[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*|[\p{P}\p{S}]/gu;
+
+export class Tokenizer {
+  /**
+   * Tokenize text into {text, normal, type, start, end}
+   * - text: exact slice of the input (text.slice(start, end))
+   * - normal: lowercase form with contractions expanded ("n't" -> not)
+   * - type: 'word', 'number', 'possessive' or 'punct'
+   */
+  tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+      const raw = match[0];
+      const start = match.index;
+      
+      if (/^[\p{P}\p{S}]$/u.test(raw)) {
+        // Trailing apostrophe after a plural is a possessive ("dogs'")
+        const previous = tokens[tokens.length - 1];
+        if (/^['’]$/.test(raw) && previous && previous.type === 'word' &&
+            previous.end === start && previous.normal.endsWith('s')) {
+          tokens.push(this.makeToken(raw, "'s", 'possessive', start));
+        } else {
+          tokens.push(this.makeToken(raw, raw, 'punct', start));
+        }
+      } else if (/^\p{N}+(?:[.,]\p{N}+)*$/u.test(raw)) {
+        tokens.push(this.makeToken(raw, raw, 'number', start));
+      } else {
+        tokens.push(...this.expandWord(raw, start));
+      }
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Lowercase normal forms of word and number tokens, for simple consumers
+   */
+  words(text) {
+    return this.tokenize(text)
+      .filter(token => token.type === 'word' || token.type === 'number')
+      .map(token => token.normal);
+  }
+  
+  /**
+   * Segment text into sentences: [{text, start, end}] with offsets into the input
+   * Ends at . ! ? … (runs like "?!" or "..." count once, adjacent closing quotes stay attached);
+   * periods after abbreviations ("Dr.") and single-letter initials do not end a sentence
+   */
+  sentences(text) {
+    const tokens = this.tokenize(text);
+    const sentences = [];
+    let first = 0;
+    
+    const close = last => {
+      const start = tokens[first].start;
+      const end = tokens[last].end;
+      sentences.push({ text: text.slice(start, end), start, end });
+      first = last + 1;
+    };
+    
+    for (let i = 0; i < tokens.length; i++) {
+      if (!this.endsSentence(tokens, i)) continue;
+      
+      let last = i;
+      while (last + 1 < tokens.length && tokens[last + 1].start === tokens[last].end &&
+             (SENTENCE_END.has(tokens[last + 1].text) || SENTENCE_CLOSERS.has(tokens[last + 1].text))) {
+        last++;
+      }
+      close(last);
+      i = last;
+    }
+    
+    if (first < tokens.length) {
+      close(tokens.length - 1);
+    }
+    
+    return sentences;
+  }
+  
+  /**
+   * Whether tokens[i] is sentence-final punctuation
+   */
+  endsSentence(tokens, i) {
+    const token = tokens[i];
+    if (token.type !== 'punct' || !SENTENCE_END.has(token.text)) return false;
+    if (token.text !== '.') return true;
+    
+    const previous = tokens[i - 1];
+    const attached = previous && previous.end === token.start && previous.type === 'word';
+    if (!attached) return true;
+    
+    const next = tokens[i + 1];
+    if (NUMBERED_ABBREVIATIONS.has(previous.normal)) {
+      return !(next && next.type === 'number');
+    }
+    return !(ABBREVIATIONS.has(previous.normal) || /^\p{L}$/u.test(previous.text));
+  }
+  
+  /**
+   * Split contractions and possessives into separate tokens
+   * Each piece keeps the offsets of the characters it came from
+   */
+  expandWord(raw, start) {
+    const lower = raw.toLowerCase().replace(/’/g, "'");
+    
+    if (IRREGULAR_CONTRACTIONS[lower]) {
+      const [first, second] = IRREGULAR_CONTRACTIONS[lower];
+      const split = lower.endsWith("n't") ? raw.length - 3 : raw.indexOf(raw.match(/['’]/)[0]);
+      return [
+        this.makeToken(raw.slice(0, split), first, 'word', start),
+        this.makeToken(raw.slice(split), second, 'word', start + split)
+      ];
+    }
+    
+    for (const [suffix, expansion] of Object.entries(CONTRACTION_SUFFIXES)) {
+      if (lower.endsWith(suffix) && lower.length > suffix.length) {
+        const split = raw.length - suffix.length;
+        // Expand the remainder too, for stacked forms like "we'd've"
+        return [
+          ...this.expandWord(raw.slice(0, split), start),
+          this.makeToken(raw.slice(split), expansion, 'word', start + split)
+        ];
+      }
+    }
+    
+    if (lower.endsWith("'s") && lower.length > 2) {
+      const split = raw.length - 2;
+      const base = lower.slice(0, split);
+      const piece = raw.slice(split);
+      return [
+        this.makeToken(raw.slice(0, split), base, 'word', start),
+        IS_CONTRACTION_BASES.has(base)
+          ? this.makeToken(piece, 'is', 'word', start + split)
+          : this.makeToken(piece, "'s", 'possessive', start + split)
+      ];
+    }
+    
+    return [this.makeToken(raw, lower, 'word', start)];
+  }
+  
+  /**
+   * Build a token record with offsets into the original text
+   */
+  makeToken(text, normal, type, start) {
+    return {
+      text: text,
+      normal: normal,
+      type: type,
+      start: start,
+      end: start + text.length
+    };
+  }
+}
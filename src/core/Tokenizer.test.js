@@ -0,0 +1,119 @@
+import { describe, test, expect } from '@jest/globals';
+import { Tokenizer } from './Tokenizer.js';
+
+describe('Tokenizer', () => {
+  const tokenizer = new Tokenizer();
+  const normals = text => tokenizer.tokenize(text).map(token => token.normal);
+
+  describe('punctuation', () => {
+    test('separates punctuation from words', () => {
+      expect(normals('The dog ran.')).toEqual(['the', 'dog', 'ran', '.']);
+      expect(normals('Wait, what?!')).toEqual(['wait', ',', 'what', '?', '!']);
+    });
+
+    test('keeps hyphenated words and decimal numbers whole', () => {
+      const tokens = tokenizer.tokenize('A well-known cost of 3.50 or 1,000.');
+
+      expect(tokens.map(t => t.normal)).toEqual(['a', 'well-known', 'cost', 'of', '3.50', 'or', '1,000', '.']);
+      expect(tokens.find(t => t.normal === '3.50').type).toBe('number');
+    });
+  });
+
+  describe('contractions and possessives', () => {
+    test.each([
+      ["don't", ['do', 'not']],
+      ["won't", ['will', 'not']],
+      ["can't", ['can', 'not']],
+      ["they're", ['they', 'are']],
+      ["I'm", ['i', 'am']],
+      ["he's", ['he', 'is']],
+      ["we'd've", ['we', 'would', 'have']],
+      ['it’ll', ['it', 'will']]
+    ])('expands %s', (text, expected) => {
+      expect(normals(text)).toEqual(expected);
+    });
+
+    test('splits singular and plural possessives', () => {
+      const tokens = tokenizer.tokenize("grandmother's voice and the dogs' bowls");
+
+      expect(tokens.map(t => [t.normal, t.type])).toEqual([
+        ['grandmother', 'word'],
+        ["'s", 'possessive'],
+        ['voice', 'word'],
+        ['and', 'word'],
+        ['the', 'word'],
+        ['dogs', 'word'],
+        ["'s", 'possessive'],
+        ['bowls', 'word']
+      ]);
+    });
+  });
+
+  describe('unicode', () => {
+    test('handles accented letters, non-Latin scripts and combining marks', () => {
+      expect(normals('Naïve café in Zürich')).toEqual(['naïve', 'café', 'in', 'zürich']);
+      expect(normals('Москва и 東京')).toEqual(['москва', 'и', '東京']);
+      expect(normals('café!')).toEqual(['café', '!']);
+    });
+
+    test('treats non-ASCII digits as numbers', () => {
+      const [token] = tokenizer.tokenize('٣٤');
+      expect(token.type).toBe('number');
+    });
+  });
+
+  describe('offsets', () => {
+    test('every token maps back to its slice of the original text', () => {
+      const text = "She said: “I don't know her brother's name…” 42 times.";
+      const tokens = tokenizer.tokenize(text);
+
+      tokens.forEach(token => {
+        expect(text.slice(token.start, token.end)).toBe(token.text);
+      });
+      expect(tokens.find(t => t.normal === 'not')).toMatchObject({ text: "n't", start: 15, end: 18 });
+    });
+  });
+
+  describe('words', () => {
+    test('returns word and number normals only', () => {
+      expect(tokenizer.words("The dog's 2 bones.")).toEqual(['the', 'dog', '2', 'bones']);
+    });
+  });
+
+  describe('sentences', () => {
+    const texts = text => tokenizer.sentences(text).map(sentence => sentence.text);
+
+    test('splits at terminal punctuation with offsets into the input', () => {
+      const text = 'The boy ran.  He was scared!';
+      const sentences = tokenizer.sentences(text);
+
+      expect(sentences).toEqual([
+        { text: 'The boy ran.', start: 0, end: 12 },
+        { text: 'He was scared!', start: 14, end: 28 }
+      ]);
+      sentences.forEach(sentence => {
+        expect(text.slice(sentence.start, sentence.end)).toBe(sentence.text);
+      });
+    });
+
+    test('keeps punctuation runs and closing quotes with their sentence', () => {
+      expect(texts('Did he cry?! "Yes." Then… nothing')).toEqual(['Did he cry?!', '"Yes."', 'Then…', 'nothing']);
+    });
+
+    test('does not split after abbreviations, initials or decimals', () => {
+      expect(texts('Dr. Smith met J. Doe. It cost 3.50 dollars.')).toEqual([
+        'Dr. Smith met J. Doe.',
+        'It cost 3.50 dollars.'
+      ]);
+    });
+
+    test('treats "No." as an abbreviation only before a number', () => {
+      expect(texts('He said no. She left.')).toEqual(['He said no.', 'She left.']);
+      expect(texts('See No. 5 on the list. It is red.')).toEqual(['See No. 5 on the list.', 'It is red.']);
+    });
+
+    test('returns nothing for empty text', () => {
+      expect(tokenizer.sentences('  ')).toEqual([]);
+    });
+  });
+});
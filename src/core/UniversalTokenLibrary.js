@@ -3,8 +3,68 @@
  * Based on the idea that all human concepts can be reduced to basic building blocks
  */
 
+import { readFile, writeFile } from 'fs/promises';
+import { Lemmatizer } from './Lemmatizer.js';
+import { Tokenizer } from './Tokenizer.js';
+import { ArrangementParser } from './ArrangementParser.js';
+import { Realizer } from './Realizer.js';
+
+// Universal and transform names in lexicon packs, e.g. ENTITY, PART_OF
+const TYPE_NAME = /^[A-Z][A-Z0-9_]*$/;
+
+// Punctuation and conjunctions that start a new clause; "and"/"or" usually join noun phrases
+const CLAUSE_PUNCTUATION = new Set([',', ';', ':', '.', '!', '?', '—', '–']);
+const CLAUSE_WORDS = new Set([
+  'but', 'yet', 'so', 'because', 'although', 'though', 'while', 'whereas',
+  'since', 'unless', 'if', 'when'
+]);
+
+// Personal pronouns, classified as ENTITY.PRONOUN for coreference resolution
+const PRONOUNS = new Set([
+  'i', 'me', 'my', 'we', 'us', 'our', 'you', 'your',
+  'he', 'him', 'his', 'himself', 'she', 'her', 'hers', 'herself',
+  'it', 'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves'
+]);
+
+/**
+ * Confidence of a classification by where it came from
+ * A word listed under several transforms splits its source confidence between them
+ */
+export const CLASSIFICATION_CONFIDENCE = {
+  stopword: 1.0,
+  lexicon: 1.0,
+  phrase: 1.0,
+  lemma: 0.8,       // Matched after reducing an inflected form
+  heuristic: 0.4,   // Suffix or pronoun rules
+  fallback: 0.2     // Nothing matched; assumed to be an entity
+};
+
+/**
+ * Multi-word expressions compress treats as a single token: phrase -> [universal, transform]
+ */
+export const DEFAULT_PHRASES = {
+  'artificial intelligence': ['ENTITY', 'CONCEPT'],
+  'machine learning': ['ENTITY', 'CONCEPT'],
+  'neural network': ['ENTITY', 'CONCEPT'],
+  'because of': ['RELATION', 'CAUSE'],
+  'due to': ['RELATION', 'CAUSE'],
+  'as a result': ['RELATION', 'EFFECT'],
+  'in spite of': ['RELATION', 'CONCESSION'],
+  'even though': ['RELATION', 'CONCESSION'],
+  'part of': ['RELATION', 'PART_OF'],
+  'instead of': ['RELATION', 'COMPARE'],
+  'no longer': ['MODIFIER', 'NEGATION'],
+  'a lot': ['STATE', 'QUANTITY']
+};
+
 export class UniversalTokenLibrary {
-  constructor() {
+  constructor(options = {}) {
+    // Reduces inflected forms to lemmas before pattern lookup
+    this.lemmatizer = options.lemmatizer || new Lemmatizer();
+    this.tokenizer = options.tokenizer || new Tokenizer();
+    this.parser = options.parser || new ArrangementParser();
+    this.realizer = options.realizer || new Realizer();
+    
     // Core universal token types and their transformations
     this.universalTokens = {
       'ENTITY': {
@@ -38,13 +98,14 @@ export class UniversalTokenLibrary {
       'RELATION': {
         prime: true,
         description: 'Any connection between entities',
-        transforms: ['CAUSE', 'EFFECT', 'POSSESS', 'PART_OF', 'COMPARE'],
+        transforms: ['CAUSE', 'EFFECT', 'POSSESS', 'PART_OF', 'COMPARE', 'CONCESSION'],
         patterns: {
           'CAUSE': ['because', 'cause', 'make', 'force', 'lead'],
           'EFFECT': ['result', 'consequence', 'outcome', 'therefore'],
           'POSSESS': ['have', 'own', 'possess', 'belong', 'hold'],
           'PART_OF': ['of', 'in', 'within', 'part', 'component'],
-          'COMPARE': ['like', 'as', 'than', 'similar', 'different']
+          'COMPARE': ['like', 'as', 'than', 'similar', 'different'],
+          'CONCESSION': ['despite', 'although', 'though', 'nevertheless']
         }
       },
       
@@ -80,12 +141,20 @@ export class UniversalTokenLibrary {
     // Common words that don't map to universal tokens
     this.stopWords = new Set([
       'the', 'a', 'an', 'and', 'or', 'but', 'if', 'then',
-      'to', 'for', 'with', 'at', 'by', 'from', 'on', 'it'
+      'to', 'for', 'with', 'at', 'by', 'from', 'on'
     ]);
+    
+    // Phrase dictionary: normalized phrase -> {universal, transform, length}
+    this.phrases = new Map();
+    this.maxPhraseLength = 0;
+    for (const [phrase, [universal, transform]] of Object.entries({ ...DEFAULT_PHRASES, ...options.phrases })) {
+      this.addPhrase(phrase, universal, transform);
+    }
   }
   
   /**
-   * Build reverse lookup map from words to universal tokens
+   * Build reverse lookup map from words to every universal token they are listed under
+   * Mappings keep definition order ("make" -> ACTION.CREATE, RELATION.CAUSE)
    */
   buildPatternMap() {
     const map = new Map();
@@ -93,10 +162,12 @@ export class UniversalTokenLibrary {
     for (const [universal, config] of Object.entries(this.universalTokens)) {
       for (const [transform, patterns] of Object.entries(config.patterns)) {
         for (const pattern of patterns) {
-          map.set(pattern.toLowerCase(), {
-            universal: universal,
-            transform: transform
-          });
+          const word = pattern.toLowerCase();
+          const mappings = map.get(word) || [];
+          if (!mappings.some(m => m.universal === universal && m.transform === transform)) {
+            mappings.push({ universal: universal, transform: transform });
+          }
+          map.set(word, mappings);
         }
       }
     }
@@ -106,34 +177,93 @@ export class UniversalTokenLibrary {
   
   /**
    * Classify a word into its universal token type
+   * Returns {universal, transform, surface, lemma, confidence, source, candidates}:
+   * candidates lists every reading by descending confidence, and the top one is
+   * also spread onto the result. Inflected forms are looked up by lemma when the
+   * surface form is not in the pattern map; heuristic guesses get low confidence
    */
   classify(word) {
-    const normalized = word.toLowerCase();
+    const normalized = this.normalizeWord(word);
     
     // Check if it's a stop word
     if (this.stopWords.has(normalized)) {
-      return { universal: 'MODIFIER', transform: 'FUNCTION' };
+      return this.buildClassification(word, normalized, [{ universal: 'MODIFIER', transform: 'FUNCTION' }], 'stopword');
     }
     
     // Check pattern map
-    const classification = this.patternMap.get(normalized);
-    if (classification) {
-      return classification;
+    const mappings = this.patternMap.get(normalized);
+    if (mappings) {
+      return this.buildClassification(word, normalized, mappings, 'lexicon');
+    }
+    
+    // Retry with the lemma ("dogs" -> dog, "ran" -> run); a word with several
+    // readings ("lives": life or live) keeps a candidate for each
+    const readings = this.lemmatizer.analyses(normalized, lemma => this.patternMap.has(lemma))
+      .map(analysis => this.classifyLemma(word, normalized, analysis));
+    if (readings.length === 1) return readings[0];
+    
+    const candidates = readings
+      .flatMap(reading => reading.candidates.map(candidate =>
+        ({ ...candidate, confidence: candidate.confidence / readings.length, lemma: reading.lemma })))
+      .sort((a, b) => b.confidence - a.confidence);
+    const { lemma, ...best } = candidates[0];
+    return { ...best, surface: word, lemma, candidates: candidates.map(({ lemma, ...candidate }) => candidate) };
+  }
+  
+  /**
+   * Classify one lemmatizer reading of a word: by its lemma's mappings, or
+   * inferred from word characteristics
+   */
+  classifyLemma(word, normalized, analysis) {
+    const lemmaMappings = this.patternMap.get(analysis.lemma);
+    if (lemmaMappings) {
+      return this.buildClassification(word, analysis.lemma, lemmaMappings, 'lemma');
     }
     
-    // Try to infer from word characteristics
-    return this.inferClassification(normalized);
+    const inferred = this.inferClassification(normalized, analysis);
+    const source = inferred.transform === 'UNKNOWN' ? 'fallback' : 'heuristic';
+    return this.buildClassification(word, analysis.lemma, [inferred], source);
+  }
+  
+  /**
+   * Score mappings from one source and spread the most confident onto the result
+   * Fallback guesses are reported with source 'heuristic'
+   */
+  buildClassification(surface, lemma, mappings, source) {
+    const confidence = CLASSIFICATION_CONFIDENCE[source] / mappings.length;
+    const candidates = mappings.map(mapping => ({
+      universal: mapping.universal,
+      transform: mapping.transform,
+      confidence: confidence,
+      source: source === 'fallback' ? 'heuristic' : source
+    }));
+    
+    return { ...candidates[0], surface, lemma, candidates };
+  }
+  
+  /**
+   * Lowercase and strip surrounding punctuation ("Scared," -> scared)
+   */
+  normalizeWord(word) {
+    return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
   }
   
   /**
    * Infer classification based on word characteristics
    */
-  inferClassification(word) {
+  inferClassification(word, analysis = this.lemmatizer.analyze(word)) {
     // Simple heuristics for unknown words
     
-    // Common verb patterns
-    const verbPatterns = ['ran', 'remembered', 'fell', 'formed', 'hit', 'fled', 'makes', 'conquers', 'solves'];
-    if (verbPatterns.includes(word)) {
+    // Pronouns, checked first so "her" and "their" are not read as -er nouns
+    if (PRONOUNS.has(word)) {
+      return { universal: 'ENTITY', transform: 'PRONOUN' };
+    }
+    
+    // Irregular verb forms ("fell", "fled"), verb readings of homographs ("leaves")
+    // and a few regular verb lemmas
+    const verbLemmas = ['conquer', 'solve'];
+    if ((['irregular', 'homograph'].includes(analysis.rule) && analysis.pos === 'verb') ||
+        verbLemmas.includes(analysis.lemma)) {
       return { universal: 'ACTION', transform: 'GENERAL' };
     }
     
@@ -162,12 +292,6 @@ export class UniversalTokenLibrary {
       return { universal: 'ENTITY', transform: 'ACTOR' };
     }
     
-    // Common pronouns
-    const pronouns = ['i', 'he', 'she', 'it', 'they', 'we', 'you'];
-    if (pronouns.includes(word)) {
-      return { universal: 'ENTITY', transform: 'PRONOUN' };
-    }
-    
     // Default to entity for nouns
     return { universal: 'ENTITY', transform: 'UNKNOWN' };
   }
@@ -213,17 +337,114 @@ export class UniversalTokenLibrary {
     return distances[key] || 0.6; // Default distance for undefined pairs
   }
   
+  /**
+   * Add a multi-word expression that compress merges into one token
+   * Returns the normalized phrase key
+   */
+  addPhrase(phrase, universal, transform) {
+    const words = this.tokenizer.words(phrase);
+    if (words.length < 2) {
+      throw new Error(`Phrase must contain at least two words: "${phrase}"`);
+    }
+    if (!this.universalTokens[universal]) {
+      throw new Error(`Unknown universal token type: ${universal}`);
+    }
+    if (!TYPE_NAME.test(transform)) {
+      throw new Error(`Transform "${transform}" must be an uppercase identifier`);
+    }
+    
+    const key = words.join(' ');
+    this.phrases.set(key, { universal, transform, length: words.length });
+    this.maxPhraseLength = Math.max(this.maxPhraseLength, words.length);
+    
+    return key;
+  }
+  
+  /**
+   * Remove a multi-word expression; returns whether it was present
+   */
+  removePhrase(phrase) {
+    const removed = this.phrases.delete(this.tokenizer.words(phrase).join(' '));
+    this.maxPhraseLength = Math.max(0, ...[...this.phrases.values()].map(entry => entry.length));
+    return removed;
+  }
+  
+  /**
+   * Check whether text is a known multi-word expression
+   */
+  isPhrase(text) {
+    return this.phrases.has(this.tokenizer.words(text).join(' '));
+  }
+  
+  /**
+   * Longest phrase starting at words[start], or null
+   * words are lowercase normal forms; a phrase also matches on lemmas
+   * ("neural networks"), and never extends past words[end - 1]
+   */
+  matchPhrase(words, start = 0, end = words.length) {
+    const longest = Math.min(this.maxPhraseLength, end - start);
+    
+    for (let length = longest; length >= 2; length--) {
+      const span = words.slice(start, start + length);
+      const candidates = [
+        span.join(' '),
+        span.map(word => this.lemmatizer.lemmatize(word, lemma => this.patternMap.has(lemma))).join(' ')
+      ];
+      
+      for (const phrase of candidates) {
+        const entry = this.phrases.get(phrase);
+        if (entry) {
+          return { phrase, universal: entry.universal, transform: entry.transform, length };
+        }
+      }
+    }
+    
+    return null;
+  }
+  
   /**
    * Compress a sentence into universal tokens
+   * Known phrases ("because of") are merged into a single token, longest match first;
+   * each token records the index of its clause for scope resolution, and
+   * arrangements holds the ArrangementParser graph over token positions
    */
   compress(sentence) {
-    const words = sentence.toLowerCase().split(/\s+/);
+    // Punctuation is dropped; contractions and possessives become their own words
+    const tokens = this.tokenizer.tokenize(sentence);
+    const words = [];
+    tokens.forEach((token, index) => {
+      if (token.type !== 'punct') {
+        words.push({ ...token, index });
+      }
+    });
+    const normals = words.map(word => word.normal);
     const compressed = [];
-    const arrangements = [];
+    let step = 1;
+    let clause = 0;
+    let clauseHasTokens = false;
     
-    for (let i = 0; i < words.length; i++) {
+    for (let i = 0; i < words.length; i += step) {
       const word = words[i];
-      const classification = this.classify(word);
+      
+      // Open a new clause at punctuation or a subordinating conjunction
+      if (clauseHasTokens && this.startsClause(tokens, words, i)) {
+        clause++;
+        clauseHasTokens = false;
+      }
+      const phrase = word.type === 'possessive'
+        ? null
+        : this.matchPhrase(normals, i, this.phraseBoundary(words, i));
+      
+      let classification;
+      if (phrase) {
+        classification = this.buildClassification(word.text, phrase.phrase, [phrase], 'phrase');
+      } else if (word.type === 'possessive') {
+        classification = this.buildClassification(word.text, word.normal, [{ universal: 'RELATION', transform: 'POSSESS' }], 'lexicon');
+      } else {
+        classification = this.classify(word.normal);
+      }
+      const last = phrase ? words[i + phrase.length - 1] : word;
+      step = phrase ? phrase.length : 1;
       
       // Skip functional modifiers unless they change meaning
       if (classification.universal === 'MODIFIER' && 
@@ -232,51 +453,314 @@ export class UniversalTokenLibrary {
       }
       
       compressed.push({
-        surface: word,
+        surface: phrase ? normals.slice(i, i + phrase.length).join(' ') : word.normal,
+        lemma: classification.lemma,
         universal: classification.universal,
         transform: classification.transform,
-        position: i
+        confidence: classification.confidence,
+        candidates: classification.candidates,
+        position: i,
+        clause: clause,
+        start: word.start,      // Character offsets into the original sentence
+        end: last.end,
+        ...(phrase && { phrase: true, length: phrase.length })
       });
-      
-      // Track arrangements (relationships between tokens)
-      if (i > 0) {
-        const prevToken = compressed[compressed.length - 2];
-        if (prevToken) {
-          arrangements.push({
-            from: prevToken.position,
-            to: i,
-            type: this.inferArrangement(prevToken, classification)
-          });
-        }
-      }
+      clauseHasTokens = true;
     }
     
     return {
       tokens: compressed,
-      arrangements: arrangements,
-      compressionRatio: compressed.length / words.length
+      arrangements: this.parser.parse(compressed),  // Arrangement graph edges between positions
+      compressionRatio: words.length > 0 ? compressed.length / words.length : 0
+    };
+  }
+  
+  /**
+   * Regenerate a readable sentence from universal tokens
+   * Accepts a compress() result, a skip trace ({path}), an array of tokens or bare
+   * universal types ('ACTION.MOVE', realized with the first word of the transform).
+   * Arrangements are re-parsed from sentence order when not supplied
+   */
+  decompress(input, arrangements = null) {
+    const source = Array.isArray(input) ? input : (input.tokens || input.path || []);
+    const tokens = source.map((item, index) => this.toRealizable(item, index));
+    
+    let graph = arrangements || (Array.isArray(input) ? null : input.arrangements);
+    if (!graph) {
+      graph = this.parser.parse([...tokens].sort((a, b) => a.position - b.position));
+    }
+    
+    return this.realizer.realize(tokens, graph);
+  }
+  
+  /**
+   * Normalize a compressed token, hyperposition token or 'UNIVERSAL.TRANSFORM' string
+   */
+  toRealizable(item, index) {
+    if (typeof item === 'string') {
+      const [universal, transform = null] = item.split('.');
+      return { surface: this.lexemeFor(universal, transform), universal, transform, position: index, clause: 0 };
+    }
+    
+    // Hyperposition tokens keep their transform on the first interpretation
+    const transform = item.transform ?? (item.interpretations && item.interpretations[0]
+      ? item.interpretations[0].transform
+      : null);
+    
+    return {
+      surface: item.surface || this.lexemeFor(item.universal, transform),
+      lemma: item.lemma,
+      universal: item.universal,
+      transform: transform,
+      position: item.position ?? index,
+      clause: item.clause ?? 0,
+      phrase: item.phrase
     };
   }
   
   /**
-   * Infer arrangement type between tokens
+   * Representative word for a universal type: the first pattern of its transform
    */
-  inferArrangement(from, to) {
-    // Simple rules for arrangement types
-    if (from.universal === 'ENTITY' && to.universal === 'ACTION') {
-      return 'SUBJECT_VERB';
+  lexemeFor(universal, transform) {
+    const config = this.universalTokens[universal];
+    const patterns = config && transform ? config.patterns[transform] : null;
+    if (patterns && patterns.length > 0) return patterns[0];
+    return (transform || universal || '').toLowerCase();
+  }
+  
+  /**
+   * Whether words[i] begins a clause: clause punctuation before it, or a conjunction
+   */
+  startsClause(tokens, words, i) {
+    if (i === 0) return false;
+    if (CLAUSE_WORDS.has(words[i].normal)) return true;
+    
+    return tokens
+      .slice(words[i - 1].index + 1, words[i].index)
+      .some(token => CLAUSE_PUNCTUATION.has(token.normal));
+  }
+  
+  /**
+   * Index just past the run of adjacent words starting at words[start]
+   * Phrases do not cross punctuation or possessives ("because, of" stays two tokens)
+   */
+  phraseBoundary(words, start) {
+    let end = start + 1;
+    while (end < words.length &&
+           words[end].type !== 'possessive' &&
+           words[end].index === words[end - 1].index + 1) {
+      end++;
     }
-    if (from.universal === 'ACTION' && to.universal === 'ENTITY') {
-      return 'VERB_OBJECT';
+    return end;
+  }
+  
+  /**
+   * Check a lexicon pack's structure and its mappings against the library
+   * Pack format:
+   *   { name, universals: { ENTITY: { description?, transforms: { ORGAN: ['heart'] } } } }
+   * A conflict is a word the library (or the pack itself) already maps elsewhere
+   */
+  validateLexicon(pack) {
+    const errors = [];
+    const conflicts = [];
+    
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return { valid: false, errors: ['pack must be an object'], conflicts };
     }
-    if (from.universal === 'MODIFIER' && to.universal === 'ENTITY') {
-      return 'MODIFY';
+    if (!pack.universals || typeof pack.universals !== 'object' || Array.isArray(pack.universals)) {
+      return { valid: false, errors: ['pack.universals must be an object'], conflicts };
     }
-    if (from.universal === 'ENTITY' && to.universal === 'STATE') {
-      return 'ENTITY_STATE';
+    
+    const seen = new Map();
+    
+    for (const [universal, config] of Object.entries(pack.universals)) {
+      if (!TYPE_NAME.test(universal)) {
+        errors.push(`universal "${universal}" must be an uppercase identifier`);
+        continue;
+      }
+      if (!config || typeof config.transforms !== 'object' || Array.isArray(config.transforms)) {
+        errors.push(`${universal}.transforms must be an object`);
+        continue;
+      }
+      if (config.description !== undefined && typeof config.description !== 'string') {
+        errors.push(`${universal}.description must be a string`);
+      }
+      
+      for (const [transform, words] of Object.entries(config.transforms)) {
+        if (!TYPE_NAME.test(transform)) {
+          errors.push(`transform "${universal}.${transform}" must be an uppercase identifier`);
+          continue;
+        }
+        if (!Array.isArray(words)) {
+          errors.push(`${universal}.${transform} must be an array of words`);
+          continue;
+        }
+        
+        for (const word of words) {
+          if (typeof word !== 'string' || word.trim() === '') {
+            errors.push(`${universal}.${transform} contains an empty or non-string word`);
+            continue;
+          }
+          
+          const normalized = word.trim().toLowerCase();
+          const incoming = { universal, transform };
+          
+          // Re-declaring a mapping the library already has is not a conflict
+          if (this.hasMapping(normalized, universal, transform)) {
+            seen.set(normalized, incoming);
+            continue;
+          }
+          
+          const existing = seen.get(normalized) || this.lookupExisting(normalized);
+          
+          if (existing && (existing.universal !== universal || existing.transform !== transform)) {
+            conflicts.push({ word: normalized, existing, incoming });
+          }
+          seen.set(normalized, incoming);
+        }
+      }
     }
     
-    return 'SEQUENCE';
+    return { valid: errors.length === 0, errors, conflicts };
+  }
+  
+  /**
+   * Check whether a word is already listed under a universal/transform
+   */
+  hasMapping(word, universal, transform) {
+    const config = this.universalTokens[universal];
+    const patterns = config && config.patterns[transform];
+    return Boolean(patterns && patterns.some(pattern => pattern.toLowerCase() === word));
+  }
+  
+  /**
+   * Current primary mapping for a word, treating stop words as MODIFIER.FUNCTION
+   */
+  lookupExisting(word) {
+    if (this.stopWords.has(word)) {
+      return { universal: 'MODIFIER', transform: 'FUNCTION' };
+    }
+    const mappings = this.patternMap.get(word);
+    return mappings ? mappings[0] : null;
+  }
+  
+  /**
+   * Merge a lexicon pack into the library and rebuild the pattern map
+   * onConflict: 'error' (throw), 'skip' (keep existing mapping) or
+   * 'override' (move the word to the pack's mapping)
+   */
+  loadLexicon(pack, { onConflict = 'error' } = {}) {
+    if (!['error', 'skip', 'override'].includes(onConflict)) {
+      throw new Error(`Unknown lexicon conflict policy: ${onConflict}`);
+    }
+    
+    const validation = this.validateLexicon(pack);
+    if (!validation.valid) {
+      throw new Error(`Invalid lexicon pack${pack && pack.name ? ` "${pack.name}"` : ''}: ${validation.errors.join('; ')}`);
+    }
+    if (validation.conflicts.length > 0 && onConflict === 'error') {
+      const details = validation.conflicts
+        .map(c => `"${c.word}" is ${c.existing.universal}.${c.existing.transform}, pack maps it to ${c.incoming.universal}.${c.incoming.transform}`)
+        .join('; ');
+      const error = new Error(`Lexicon conflicts: ${details}`);
+      error.conflicts = validation.conflicts;
+      throw error;
+    }
+    
+    const conflicting = new Set(validation.conflicts.map(c => c.word));
+    const summary = { added: 0, skipped: 0, overridden: 0, newUniversals: [], newTransforms: [] };
+    
+    for (const [universal, config] of Object.entries(pack.universals)) {
+      if (!this.universalTokens[universal]) {
+        this.universalTokens[universal] = {
+          prime: true,
+          description: config.description || '',
+          transforms: [],
+          patterns: {}
+        };
+        summary.newUniversals.push(universal);
+      }
+      const target = this.universalTokens[universal];
+      
+      for (const [transform, words] of Object.entries(config.transforms)) {
+        if (!target.patterns[transform]) {
+          target.patterns[transform] = [];
+          target.transforms.push(transform);
+          summary.newTransforms.push(`${universal}.${transform}`);
+        }
+        
+        for (const word of words) {
+          const normalized = word.trim().toLowerCase();
+          
+          if (conflicting.has(normalized)) {
+            if (onConflict === 'skip') {
+              summary.skipped++;
+              continue;
+            }
+            this.removeWord(normalized);
+            summary.overridden++;
+          } else if (target.patterns[transform].includes(normalized)) {
+            continue;
+          } else {
+            summary.added++;
+          }
+          
+          target.patterns[transform].push(normalized);
+        }
+      }
+    }
+    
+    this.patternMap = this.buildPatternMap();
+    
+    return summary;
+  }
+  
+  /**
+   * Remove a word from every transform and from the stop words
+   */
+  removeWord(word) {
+    this.stopWords.delete(word);
+    
+    for (const config of Object.values(this.universalTokens)) {
+      for (const [transform, patterns] of Object.entries(config.patterns)) {
+        config.patterns[transform] = patterns.filter(pattern => pattern.toLowerCase() !== word);
+      }
+    }
+  }
+  
+  /**
+   * Export the library's vocabulary in lexicon pack format
+   */
+  exportLexicon(name = 'universal') {
+    const universals = {};
+    
+    for (const [universal, config] of Object.entries(this.universalTokens)) {
+      universals[universal] = {
+        description: config.description,
+        transforms: Object.fromEntries(
+          Object.entries(config.patterns).map(([transform, patterns]) => [transform, [...patterns]])
+        )
+      };
+    }
+    
+    return { name, universals };
+  }
+  
+  /**
+   * Load and merge a lexicon pack from a JSON file
+   */
+  async loadLexiconFile(path, options = {}) {
+    const pack = JSON.parse(await readFile(path, 'utf8'));
+    return this.loadLexicon(pack, options);
+  }
+  
+  /**
+   * Save the library's vocabulary as a JSON lexicon pack
+   */
+  async saveLexiconFile(path, name) {
+    const pack = this.exportLexicon(name);
+    await writeFile(path, JSON.stringify(pack, null, 2) + '\n', 'utf8');
+    return pack;
   }
   
   /**
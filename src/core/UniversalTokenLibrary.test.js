@@ -0,0 +1,321 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UniversalTokenLibrary } from './UniversalTokenLibrary.js';
+import { HSTNNProcessor } from './HSTNNProcessor.js';
+import { HyperpositionToken } from './HyperpositionToken.js';
+
+describe('UniversalTokenLibrary', () => {
+  let library;
+
+  beforeEach(() => {
+    library = new UniversalTokenLibrary();
+  });
+
+  describe('classify', () => {
+    test('looks up inflected forms by lemma', () => {
+      expect(library.classify('dogs')).toEqual({
+        universal: 'ENTITY', transform: 'ANIMAL', surface: 'dogs', lemma: 'dog',
+        confidence: 0.8, source: 'lemma',
+        candidates: [{ universal: 'ENTITY', transform: 'ANIMAL', confidence: 0.8, source: 'lemma' }]
+      });
+      expect(library.classify('running')).toMatchObject({ universal: 'ACTION', transform: 'MOVE', lemma: 'run' });
+      expect(library.classify('ran')).toMatchObject({ universal: 'ACTION', transform: 'MOVE', lemma: 'run' });
+    });
+
+    test('reports surface and lemma for exact matches', () => {
+      expect(library.classify('Scared,')).toEqual({
+        universal: 'STATE', transform: 'EMOTION', surface: 'Scared,', lemma: 'scared',
+        confidence: 1, source: 'lexicon',
+        candidates: [{ universal: 'STATE', transform: 'EMOTION', confidence: 1, source: 'lexicon' }]
+      });
+    });
+
+    test('infers actions from irregular verb forms missing from the patterns', () => {
+      expect(library.classify('fled')).toMatchObject({ universal: 'ACTION', transform: 'GENERAL', lemma: 'flee' });
+      expect(library.classify('fell')).toMatchObject({ universal: 'ACTION', transform: 'GENERAL', lemma: 'fall' });
+    });
+
+    test('falls back to suffix heuristics for unknown words', () => {
+      expect(library.classify('quickly')).toMatchObject({ universal: 'MODIFIER', transform: 'MANNER' });
+      expect(library.classify('zorbed')).toMatchObject({ universal: 'ACTION', transform: 'PAST', lemma: 'zorb' });
+    });
+
+    test('records lemmas on compressed tokens', () => {
+      const { tokens } = library.compress('The dogs were running');
+      expect(tokens.map(t => t.lemma)).toEqual(['dog', 'be', 'run']);
+    });
+  });
+
+  describe('ambiguity', () => {
+    test('returns every reading of words listed under several transforms', () => {
+      const result = library.classify('make');
+
+      expect(result).toMatchObject({ universal: 'ACTION', transform: 'CREATE', confidence: 0.5, source: 'lexicon' });
+      expect(result.candidates).toEqual([
+        { universal: 'ACTION', transform: 'CREATE', confidence: 0.5, source: 'lexicon' },
+        { universal: 'RELATION', transform: 'CAUSE', confidence: 0.5, source: 'lexicon' }
+      ]);
+      expect(library.classify('making').candidates.map(c => c.source)).toEqual(['lemma', 'lemma']);
+    });
+
+    test('marks heuristic guesses as low confidence', () => {
+      expect(library.classify('quickly')).toMatchObject({ confidence: 0.4, source: 'heuristic' });
+      expect(library.classify('blorp')).toMatchObject({
+        universal: 'ENTITY', transform: 'UNKNOWN', confidence: 0.2, source: 'heuristic'
+      });
+      expect(library.classify('the')).toMatchObject({ confidence: 1, source: 'stopword' });
+    });
+
+    test('keeps the primary reading for lexicon conflict checks', () => {
+      expect(library.lookupExisting('make')).toEqual({ universal: 'ACTION', transform: 'CREATE' });
+      expect(library.validateLexicon({
+        universals: { RELATION: { transforms: { CAUSE: ['make'] } } }
+      }).conflicts).toEqual([]);
+    });
+
+    test('carries candidates onto compressed tokens', () => {
+      const [, make, phrase] = library.compress('Dogs make because of').tokens;
+
+      expect(make.candidates).toHaveLength(2);
+      expect(phrase).toMatchObject({ confidence: 1, candidates: [{ source: 'phrase' }] });
+    });
+
+    test('seeds superposed hyperposition tokens from ambiguous words', () => {
+      const processor = new HSTNNProcessor({ seed: 7 });
+      const result = processor.processText('Dogs make tools');
+      const make = result.hyperTokens.find(token => token.surface === 'make');
+
+      expect(make.universal).toBe('ACTION');
+      expect(make.interpretations.map(i => i.universal)).toEqual(['ACTION', 'RELATION']);
+
+      // Same draws adjusted as pure ACTION: the blend sits between ACTION and RELATION factors
+      const pure = new HyperpositionToken('make', 'ACTION', { seed: 1 });
+      const blended = new HyperpositionToken('make', 'ACTION', { seed: 1 });
+      processor.adjustInitialDimensions(pure, { universal: 'ACTION' });
+      processor.adjustInitialDimensions(blended, { universal: 'ACTION', candidates: library.classify('make').candidates });
+
+      expect(blended.dimensions.relational).toBeGreaterThan(pure.dimensions.relational);
+      expect(blended.dimensions.temporal).toBeLessThan(pure.dimensions.temporal);
+    });
+
+    test('keeps both readings of nouns that are also verb forms', () => {
+      const lives = library.classify('lives');
+      const leaves = library.classify('leaves');
+
+      expect(lives).toMatchObject({ universal: 'ACTION', lemma: 'live', source: 'lemma' });
+      expect(lives.candidates.map(c => c.universal)).toEqual(['ACTION', 'ENTITY']);
+      expect(leaves).toMatchObject({ universal: 'ACTION', lemma: 'leave', source: 'heuristic' });
+      expect(leaves.candidates.map(c => c.universal)).toEqual(['ACTION', 'ENTITY']);
+      expect(library.classify('knives')).toMatchObject({ universal: 'ENTITY', lemma: 'knife' });
+    });
+
+    test('reads verb homographs as actions in a sentence', () => {
+      expect(library.compress('She lives here').tokens[1]).toMatchObject({ surface: 'lives', universal: 'ACTION' });
+      expect(library.compress('He leaves').tokens[1]).toMatchObject({ surface: 'leaves', universal: 'ACTION' });
+    });
+  });
+
+  describe('compress', () => {
+    test('matches words followed by punctuation', () => {
+      const { tokens } = library.compress('The boy was scared of the dog.');
+      expect(tokens.map(t => t.surface)).toEqual(['boy', 'was', 'scared', 'of', 'dog']);
+      expect(tokens[4]).toMatchObject({ universal: 'ENTITY', transform: 'ANIMAL' });
+    });
+
+    test('classifies possessives and expanded contractions', () => {
+      const { tokens } = library.compress("She didn't hear her grandmother's voice");
+      const byLemma = Object.fromEntries(tokens.map(t => [t.lemma, t]));
+
+      expect(byLemma.not).toMatchObject({ universal: 'MODIFIER', transform: 'NEGATION' });
+      expect(byLemma["'s"]).toMatchObject({ universal: 'RELATION', transform: 'POSSESS' });
+    });
+
+    test('keeps character offsets into the original sentence', () => {
+      const sentence = 'Dogs, cats and birds!';
+      const { tokens } = library.compress(sentence);
+
+      tokens.forEach(token => {
+        expect(sentence.slice(token.start, token.end).toLowerCase()).toBe(token.surface);
+      });
+    });
+
+    test('computes the ratio over words, not punctuation', () => {
+      expect(library.compress('The dog.').compressionRatio).toBe(0.5);
+      expect(library.compress('').compressionRatio).toBe(0);
+    });
+  });
+
+  describe('lexicon packs', () => {
+    const medicalPack = {
+      name: 'medical',
+      universals: {
+        ENTITY: {
+          transforms: {
+            HUMAN: ['nurse', 'surgeon'],
+            ORGAN: ['heart', 'lung', 'Liver']
+          }
+        },
+        SYMPTOM: {
+          description: 'Any observed sign of illness',
+          transforms: {
+            PAIN: ['ache', 'cramp']
+          }
+        }
+      }
+    };
+
+    test('adds words, transforms and prime types', () => {
+      const summary = library.loadLexicon(medicalPack);
+
+      expect(summary.added).toBe(7);
+      expect(summary.newTransforms).toEqual(['ENTITY.ORGAN', 'SYMPTOM.PAIN']);
+      expect(summary.newUniversals).toEqual(['SYMPTOM']);
+      expect(library.getTransformations('ENTITY')).toContain('ORGAN');
+      expect(library.isPrime('SYMPTOM')).toBe(true);
+    });
+
+    test('rebuilds the pattern map after loading', () => {
+      library.loadLexicon(medicalPack);
+
+      expect(library.classify('nurse')).toMatchObject({ universal: 'ENTITY', transform: 'HUMAN' });
+      expect(library.classify('liver')).toMatchObject({ universal: 'ENTITY', transform: 'ORGAN' });
+      expect(library.classify('cramp')).toMatchObject({ universal: 'SYMPTOM', transform: 'PAIN' });
+    });
+
+    test('reports structural errors', () => {
+      const result = library.validateLexicon({
+        universals: {
+          entity: { transforms: {} },
+          STATE: { transforms: { MOOD: 'happy' } },
+          ACTION: { transforms: { MOVE: ['', 42] } }
+        }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'universal "entity" must be an uppercase identifier',
+        'STATE.MOOD must be an array of words',
+        'ACTION.MOVE contains an empty or non-string word',
+        'ACTION.MOVE contains an empty or non-string word'
+      ]);
+      expect(() => library.loadLexicon({ name: 'broken' })).toThrow('Invalid lexicon pack "broken"');
+    });
+
+    test('detects conflicts with existing and in-pack mappings', () => {
+      const pack = {
+        universals: {
+          ENTITY: { transforms: { ANIMAL: ['dog', 'run', 'the'], PET: ['hamster'] } },
+          STATE: { transforms: { MOOD: ['hamster'] } }
+        }
+      };
+      const { conflicts } = library.validateLexicon(pack);
+
+      expect(conflicts.map(c => c.word)).toEqual(['run', 'the', 'hamster']);
+      expect(conflicts[0].existing).toEqual({ universal: 'ACTION', transform: 'MOVE' });
+      expect(conflicts[1].existing).toEqual({ universal: 'MODIFIER', transform: 'FUNCTION' });
+      expect(() => library.loadLexicon(pack)).toThrow('"run" is ACTION.MOVE');
+    });
+
+    test('skips or overrides conflicting words on request', () => {
+      const pack = { universals: { ENTITY: { transforms: { OBJECT: ['run'] } } } };
+
+      const skipped = new UniversalTokenLibrary();
+      expect(skipped.loadLexicon(pack, { onConflict: 'skip' }).skipped).toBe(1);
+      expect(skipped.classify('run')).toMatchObject({ universal: 'ACTION', transform: 'MOVE' });
+
+      expect(library.loadLexicon(pack, { onConflict: 'override' }).overridden).toBe(1);
+      expect(library.classify('run')).toMatchObject({ universal: 'ENTITY', transform: 'OBJECT' });
+      expect(library.universalTokens.ACTION.patterns.MOVE).not.toContain('run');
+    });
+
+    test('round-trips the built-in vocabulary without conflicts', () => {
+      const exported = library.exportLexicon();
+      const fresh = new UniversalTokenLibrary();
+
+      expect(fresh.validateLexicon(exported)).toEqual({ valid: true, errors: [], conflicts: [] });
+      expect(fresh.loadLexicon(exported).added).toBe(0);
+    });
+
+    test('saves and loads packs as JSON files', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'hstnn-lexicon-'));
+      try {
+        const packPath = join(dir, 'medical.json');
+        await writeFile(packPath, JSON.stringify(medicalPack));
+        await library.loadLexiconFile(packPath);
+
+        const savedPath = join(dir, 'saved.json');
+        await library.saveLexiconFile(savedPath, 'team');
+        const saved = JSON.parse(await readFile(savedPath, 'utf8'));
+
+        expect(saved.name).toBe('team');
+        expect(saved.universals.SYMPTOM.transforms.PAIN).toEqual(['ache', 'cramp']);
+
+        const restored = new UniversalTokenLibrary();
+        await restored.loadLexiconFile(savedPath);
+        expect(restored.classify('heart')).toMatchObject({ universal: 'ENTITY', transform: 'ORGAN' });
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('phrases', () => {
+    test('merges known phrases into a single token', () => {
+      const result = library.compress('The neural network failed because of noise.');
+      const surfaces = result.tokens.map(token => token.surface);
+
+      expect(surfaces).toEqual(['neural network', 'failed', 'because of', 'noise']);
+      expect(result.tokens[0]).toMatchObject({
+        universal: 'ENTITY', transform: 'CONCEPT', phrase: true, length: 2, start: 4, end: 18
+      });
+      expect(result.tokens[2]).toMatchObject({ universal: 'RELATION', transform: 'CAUSE', position: 4 });
+      expect(result.arrangements).toEqual([
+        { from: 3, to: 1, type: 'SUBJECT', weight: 1 },
+        { from: 6, to: 3, type: 'CAUSE_EFFECT', weight: 1, via: 4 }
+      ]);
+    });
+
+    test('prefers the longest match', () => {
+      library.addPhrase('neural network model', 'ENTITY', 'OBJECT');
+      const result = library.compress('in spite of the neural network model');
+
+      expect(result.tokens.map(token => token.surface)).toEqual(['in spite of', 'neural network model']);
+      expect(result.tokens[0]).toMatchObject({ universal: 'RELATION', transform: 'CONCESSION' });
+      expect(result.tokens[1]).toMatchObject({ universal: 'ENTITY', transform: 'OBJECT' });
+    });
+
+    test('matches inflected phrases by lemma', () => {
+      const [token] = library.compress('Neural networks').tokens;
+      expect(token).toMatchObject({ surface: 'neural networks', lemma: 'neural network', transform: 'CONCEPT' });
+    });
+
+    test('does not merge across punctuation', () => {
+      const surfaces = library.compress('It failed because, of course, it did').tokens.map(t => t.surface);
+      expect(surfaces).not.toContain('because of');
+    });
+
+    test('adds and removes phrases at runtime', () => {
+      expect(library.addPhrase('Heart  Attack', 'STATE', 'PHYSICAL')).toBe('heart attack');
+      expect(library.isPhrase('heart attack')).toBe(true);
+      expect(library.compress('a heart attack').tokens[0]).toMatchObject({ universal: 'STATE', transform: 'PHYSICAL' });
+
+      expect(library.removePhrase('heart attack')).toBe(true);
+      expect(library.removePhrase('heart attack')).toBe(false);
+      expect(library.compress('a heart attack').tokens).toHaveLength(2);
+    });
+
+    test('accepts phrases through constructor options', () => {
+      const custom = new UniversalTokenLibrary({ phrases: { 'black hole': ['ENTITY', 'OBJECT'] } });
+      expect(custom.compress('black hole').tokens).toHaveLength(1);
+      expect(custom.isPhrase('because of')).toBe(true);
+    });
+
+    test('rejects invalid phrases', () => {
+      expect(() => library.addPhrase('solo', 'ENTITY', 'CONCEPT')).toThrow('at least two words');
+      expect(() => library.addPhrase('big deal', 'NOPE', 'CONCEPT')).toThrow('Unknown universal token type');
+      expect(() => library.addPhrase('big deal', 'STATE', 'lower')).toThrow('uppercase identifier');
+    });
+  });
+});
@@ -75,7 +75,11 @@ for (let [emotion, params] of mixedToken.emotionalState.components) {
 
 const collapsed = mixedToken.collapseEmotional('expression');
 console.log(`\nCollapsed to: ${chalk.green(collapsed)}`);
-console.log(`Emotional dimension: ${mixedToken.dimensions.emotional.toFixed(3)}\n`);
+console.log(`Emotional dimension: ${mixedToken.dimensions.emotional.toFixed(3)}`);
+console.log(`Collapse probability: ${mixedToken.collapseLog[0].probability.toFixed(2)}`);
+
+mixedToken.decohere();
+console.log(`Decohered back to ${mixedToken.emotionalState.components.size} components\n`);
 
 // Demo 5: Emotional Resonance in Skip-Traces
 console.log(chalk.yellow('5. Emotional Skip-Trace Resonance'));
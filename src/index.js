@@ -7,6 +7,12 @@ export { HyperpositionToken } from './core/HyperpositionToken.js';
 export { SkipTraceEngine } from './core/SkipTraceEngine.js';
 export { UniversalTokenLibrary } from './core/UniversalTokenLibrary.js';
 export { HSTNNProcessor } from './core/HSTNNProcessor.js';
+export { ProcessingResult } from './core/ProcessingResult.js';
+export { Pipeline } from './core/Pipeline.js';
+export { ConfigSchema, PROCESSOR_SCHEMA } from './core/ConfigSchema.js';
+export { EmotionLexicon } from './core/EmotionLexicon.js';
+export { EmotionalTimeline } from './core/EmotionalTimeline.js';
+export { EmotionalContagion } from './core/EmotionalContagion.js';
 
 // Re-export for convenience
 export default {